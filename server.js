@@ -5,16 +5,27 @@ const fetch = require('node-fetch');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { GoogleSpreadsheet } = require('google-spreadsheet');
 const { JWT } = require('google-auth-library');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const multer = require('multer');
 const validator = require('validator');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 require('dotenv').config();
 
 const negozi = require('./data/negozi.json');
+const { createStorage } = require('./storage');
+const { createUserStore } = require('./storage/users');
+const { createSessionStore } = require('./storage/sessions');
+const { createTxtIndex } = require('./storage/txtIndex');
+const { createAuditLog } = require('./storage/auditLog');
+const { createApiKeyStore, isApiKey } = require('./storage/apiKeys');
+const { createAttachmentStore, detectFileType, ALLOWED_MIME_TYPES } = require('./storage/attachments');
+const { createPriceListStore } = require('./storage/priceLists');
+const { createDuplicateReviewStore } = require('./storage/duplicateReviews');
+const { createSlaStore } = require('./storage/slaRules');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -36,15 +47,37 @@ const hasGoogleKeyLocal = Boolean(localServiceAccount?.private_key);
 const googleEmailSource = hasGoogleEmailEnv ? 'env' : hasGoogleEmailLocal ? 'local file' : 'missing';
 const googleKeySource = hasGoogleKeyEnv ? 'env' : hasGoogleKeyLocal ? 'local file' : 'missing';
 const GOOGLE_SHEET_ID = process.env.GOOGLE_SHEET_ID;
+const PRODOTTI_SHEET_ID = process.env.PRODOTTI_SHEET_ID || '1CJhd14F8qV8nS0-SK2ENSNSkWaE21KotK2ArBjJETfk';
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'google').toLowerCase();
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'data', 'local');
+const STORAGE_CACHE_TTL_MS = parseInt(process.env.STORAGE_CACHE_TTL_MS || '60000', 10);
+const RUNTIME_DATA_DIR = process.env.RUNTIME_DATA_DIR || path.join(__dirname, 'data', 'runtime');
+const WRITE_QUEUE_MAX_ATTEMPTS = parseInt(process.env.WRITE_QUEUE_MAX_ATTEMPTS || '20', 10);
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const ALLEGATI_MAX_SIZE_MB = parseInt(process.env.ALLEGATI_MAX_SIZE_MB || '10', 10);
+const ALLEGATI_MAX_FILES = parseInt(process.env.ALLEGATI_MAX_FILES || '5', 10);
+const ALLEGATI_LINK_TTL_DAYS = parseInt(process.env.ALLEGATI_LINK_TTL_DAYS || '30', 10);
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+const IMPORTO_TOLLERANZA_PERCENTUALE = parseFloat(process.env.IMPORTO_TOLLERANZA_PERCENTUALE || '2');
+const IMPORTO_TOLLERANZA_EURO = parseFloat(process.env.IMPORTO_TOLLERANZA_EURO || '0.5');
+const SLA_CONFERMA_GIORNI = parseInt(process.env.SLA_CONFERMA_GIORNI || '7', 10);
+const SLA_ESCALATION_GIORNI = parseInt(process.env.SLA_ESCALATION_GIORNI || '14', 10);
+const SOLLECITI_ATTIVI = process.env.SOLLECITI_ATTIVI === 'true';
+const SOLLECITI_ORA = parseInt(process.env.SOLLECITI_ORA || '8', 10);
+const N8N_WEBHOOK_URL = process.env.N8N_WEBHOOK_URL || '';
 
 console.log('🔍 VERIFICA CONFIGURAZIONE STARTUP:');
 console.log('📊 PORT:', PORT);
 console.log('🔐 JWT_SECRET configurato:', !!process.env.JWT_SECRET);
+console.log('🎫 Durata token:', `accesso ${ACCESS_TOKEN_TTL}, refresh ${REFRESH_TOKEN_TTL_DAYS} giorni`);
 console.log('📊 GOOGLE_SHEET_ID:', GOOGLE_SHEET_ID ? 'CONFIGURATO' : 'MANCANTE');
 console.log('🤖 GOOGLE_SERVICE_ACCOUNT_EMAIL:', googleEmailSource === 'missing' ? 'MANCANTE' : `CONFIGURATO (${googleEmailSource})`);
 console.log('🔑 GOOGLE_PRIVATE_KEY:', googleKeySource === 'missing' ? 'MANCANTE' : `DISPONIBILE (${googleKeySource})`);
+console.log('🗄️ STORAGE_BACKEND:', STORAGE_BACKEND === 'local' ? `local (${LOCAL_STORAGE_DIR})` : STORAGE_BACKEND);
+console.log('⏱️ STORAGE_CACHE_TTL_MS:', STORAGE_CACHE_TTL_MS > 0 ? STORAGE_CACHE_TTL_MS : 'DISATTIVATA');
 
-const TXT_FILES_DIR = path.join(__dirname, 'generated_txt_files');
+const TXT_FILES_DIR = process.env.TXT_FILES_DIR || path.join(__dirname, 'generated_txt_files');
 const ensureTxtDir = async () => {
   try { await fs.access(TXT_FILES_DIR); }
   catch { console.log('📁 Creando cartella per file TXT:', TXT_FILES_DIR); await fs.mkdir(TXT_FILES_DIR, { recursive: true }); }
@@ -52,9 +85,12 @@ const ensureTxtDir = async () => {
 ensureTxtDir()
   .then(() => console.log('📁 Cartella file TXT pronta:', TXT_FILES_DIR))
   .catch(error => console.error('❌ Errore creazione cartella TXT:', error));
+const txtIndex = createTxtIndex({ file: path.join(RUNTIME_DATA_DIR, 'txt-index.json') });
+// TXT ritirati dall'annullamento di una consegna: fuori da generated_txt_files, quindi non esportabili
+const TXT_ARCHIVE_DIR = path.join(RUNTIME_DATA_DIR, 'txt-ritirati');
 
 app.use(helmet());
-app.use(cors({ origin: true, credentials: true }));
+app.use(cors({ origin: true, credentials: true, exposedHeaders: ['ETag'] }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -77,25 +113,13 @@ const serviceAccountAuth = new JWT({
   scopes: ['https://www.googleapis.com/auth/spreadsheets']
 });
 
-const getGoogleDoc = async () => {
-  const doc = new GoogleSpreadsheet(GOOGLE_SHEET_ID, serviceAccountAuth);
-  await doc.loadInfo();
-  return doc;
-};
-const getGoogleSheet = async (sheetName = null) => {
-  try {
-    const doc = await getGoogleDoc();
-    if (sheetName) {
-      const sheet = doc.sheetsByTitle[sheetName];
-      if (!sheet) throw new Error(`Foglio "${sheetName}" non trovato`);
-      return sheet;
-    }
-    return doc.sheetsByIndex[0];
-  } catch (error) {
-    console.error('Errore connessione Google Sheets:', error);
-    throw new Error('Impossibile connettersi a Google Sheets');
-  }
-};
+const storage = createStorage({
+  backend: STORAGE_BACKEND,
+  google: { auth: serviceAccountAuth, sheetId: GOOGLE_SHEET_ID, prodottiSheetId: PRODOTTI_SHEET_ID },
+  local: { dir: LOCAL_STORAGE_DIR },
+  cacheTtlMs: STORAGE_CACHE_TTL_MS,
+  writeQueue: { file: path.join(RUNTIME_DATA_DIR, 'write-queue.json'), maxAttempts: WRITE_QUEUE_MAX_ATTEMPTS }
+});
 
 const sanitizeText = (input) => {
   return String(input ?? '')
@@ -130,7 +154,7 @@ const parseStoricoModifiche = (storicoString) => {
   }
 };
 
-const aggiungiModificaAlloStorico = (storicoAttuale, campoModificato, valorePrecedente, valoreNuovo, modificatoDa) => {
+const aggiungiModificaAlloStorico = (storicoAttuale, campoModificato, valorePrecedente, valoreNuovo, modificatoDa, extra = {}) => {
   const storico = parseStoricoModifiche(storicoAttuale);
   
   const nuovaModifica = {
@@ -139,7 +163,8 @@ const aggiungiModificaAlloStorico = (storicoAttuale, campoModificato, valorePrec
     valore_precedente: valorePrecedente || '',
     valore_nuovo: valoreNuovo || '',
     modificato_da: modificatoDa,
-    data_modifica: new Date().toLocaleDateString('it-IT')
+    data_modifica: new Date().toLocaleDateString('it-IT'),
+    ...extra
   };
   
   storico.push(nuovaModifica);
@@ -227,10 +252,495 @@ const parseDDTCompleto = (testoDDT) => {
   }).filter(Boolean); // rimuovi i null
 };
 
+// ==========================================
+// CATEGORIE ERRORI DI CONSEGNA
+// ==========================================
+// Ogni riga segnalata (modificato: true) deve indicare una categoria; le segnalazioni
+// registrate prima dell'introduzione delle categorie vengono contate come non classificate
+const ERROR_CATEGORIES = [
+  { codice: 'mancante', descrizione: 'Mancante' },
+  { codice: 'in_eccesso', descrizione: 'In eccesso' },
+  { codice: 'danneggiato', descrizione: 'Danneggiato' },
+  { codice: 'scaduto', descrizione: 'Scaduto' },
+  { codice: 'prodotto_errato', descrizione: 'Prodotto errato' },
+  { codice: 'temperatura_non_conforme', descrizione: 'Temperatura non conforme' }
+];
+const ERROR_CATEGORY_CODES = ERROR_CATEGORIES.map(c => c.codice);
+const CATEGORIA_NON_CLASSIFICATA = 'non_classificato';
+
+// Messaggio di errore oppure null se le modifiche sono valide
+const validaModificheRighe = (modifiche) => {
+  if (!Array.isArray(modifiche)) return 'modifiche_righe deve essere un elenco';
+  for (const [index, modifica] of modifiche.entries()) {
+    if (!modifica || typeof modifica !== 'object') return `Modifica ${index + 1} non valida`;
+    if (modifica.modificato && !ERROR_CATEGORY_CODES.includes(modifica.categoria)) {
+      return `Categoria mancante o non valida per la riga ${modifica.riga_numero ?? index + 1} (ammesse: ${ERROR_CATEGORY_CODES.join(', ')})`;
+    }
+  }
+  return null;
+};
+
+// { categoria: numero di righe } dalle modifiche di errori_consegna
+const contaCategorieErrori = (erroriConsegna) => {
+  let errori = erroriConsegna;
+  if (typeof errori === 'string') {
+    if (errori.trim() === '') return {};
+    try {
+      errori = JSON.parse(errori);
+    } catch {
+      return {};
+    }
+  }
+  const conteggio = {};
+  (Array.isArray(errori?.modifiche) ? errori.modifiche : [])
+    .filter(m => m?.modificato)
+    .forEach(m => {
+      const categoria = ERROR_CATEGORY_CODES.includes(m.categoria) ? m.categoria : CATEGORIA_NON_CLASSIFICATA;
+      conteggio[categoria] = (conteggio[categoria] || 0) + 1;
+    });
+  return conteggio;
+};
+
+const sommaCategorie = (totale, conteggio) => {
+  Object.entries(conteggio).forEach(([categoria, n]) => { totale[categoria] = (totale[categoria] || 0) + n; });
+  return totale;
+};
+
+// ==========================================
+// RICONCILIAZIONE DDT / TXT
+// ==========================================
+// Il tracciato del TXT non è fisso: ogni riga viene divisa sul separatore trovato
+// (; tab |, altrimenti spazi) e il codice prodotto è il campo che coincide con un
+// codice del DDT. Le righe sono confrontate per codice, sommando i duplicati.
+const normalizzaCodice = (codice) => String(codice ?? '').trim().toUpperCase().replace(/^0+(?=.)/, '');
+const normalizzaUm = (um) => String(um ?? '').trim().toUpperCase().replace(/\./g, '');
+const parseNumero = (value) => {
+  const text = String(value ?? '').trim();
+  return /^-?\d+([.,]\d+)?$/.test(text) ? parseFloat(text.replace(',', '.')) : null;
+};
+const TOLLERANZA_QUANTITA = 0.001;
+const UNITA_MISURA_COMUNI = ['KG', 'GR', 'G', 'LT', 'L', 'ML', 'CL', 'PZ', 'NR', 'CT', 'CF', 'CONF', 'KAR', 'CRT', 'BT', 'SC', 'PAC'];
+
+// umNote: unità di misura comuni e del DDT, usate per riconoscere il campo UM nel TXT
+const parseRigaTxt = (riga, rigaNumero, codiciDDT, umNote) => {
+  const separatore = [';', '\t', '|'].find(s => riga.includes(s));
+  const campi = (separatore ? riga.split(separatore) : riga.trim().split(/\s+/)).map(c => c.trim());
+
+  const indiceCodice = campi.findIndex(c => codiciDDT.has(normalizzaCodice(c)));
+  if (indiceCodice === -1) return { riga_numero: rigaNumero, riga, codice: null };
+
+  const codice = normalizzaCodice(campi[indiceCodice]);
+  const altriCampi = campi.filter((_, i) => i !== indiceCodice);
+  const quantita = altriCampi.map(parseNumero).filter(n => n !== null);
+  const um = altriCampi.find(c => umNote.has(normalizzaUm(c)));
+
+  return { riga_numero: rigaNumero, riga, codice, quantita, um: um ? normalizzaUm(um) : null };
+};
+
+const raggruppaPerCodice = (righe, quantitaDi) => {
+  const gruppi = new Map();
+  righe.forEach(r => {
+    const gruppo = gruppi.get(r.codice) || { righe: [], quantita: 0, um: new Set() };
+    gruppo.righe.push(r.riga_numero);
+    gruppo.quantita += quantitaDi(r);
+    if (r.um) gruppo.um.add(normalizzaUm(r.um));
+    gruppi.set(r.codice, gruppo);
+  });
+  return gruppi;
+};
+
+const riconciliaFattura = (record) => {
+  const prodottiDDT = parseDDTCompleto(record.testo_ddt || '').map(p => ({ ...p, codice: normalizzaCodice(p.codice) }));
+  const codiciDDT = new Set(prodottiDDT.map(p => p.codice));
+  const umNote = new Set([...UNITA_MISURA_COMUNI, ...prodottiDDT.map(p => normalizzaUm(p.um)).filter(Boolean)]);
+  const qtaAttesa = new Map(prodottiDDT.map(p => [p.codice, p.quantita]));
+
+  const righeTxt = String(record.txt || '').split('\n')
+    .map((riga, index) => ({ riga: riga.trim(), riga_numero: index + 1 }))
+    .filter(r => r.riga !== '')
+    .map(r => parseRigaTxt(r.riga, r.riga_numero, codiciDDT, umNote));
+
+  // Tra più campi numerici si usa quello uguale alla quantità del DDT, altrimenti il primo
+  const quantitaTxt = (r) => {
+    if (r.quantita.length === 0) return 0;
+    const attesa = qtaAttesa.get(r.codice);
+    return r.quantita.find(q => Math.abs(q - attesa) < TOLLERANZA_QUANTITA) ?? r.quantita[0];
+  };
+
+  const ddt = raggruppaPerCodice(prodottiDDT, p => p.quantita);
+  const txt = raggruppaPerCodice(righeTxt.filter(r => r.codice), quantitaTxt);
+
+  const righe = prodottiDDT
+    .filter((p, index) => prodottiDDT.findIndex(x => x.codice === p.codice) === index)
+    .map(p => {
+      const lato = ddt.get(p.codice);
+      const latoTxt = txt.get(p.codice);
+      const voce = {
+        codice: p.codice,
+        nome: p.nome,
+        ddt: { righe: lato.righe, quantita: lato.quantita, um: [...lato.um].join('/') || null },
+        txt: latoTxt ? { righe: latoTxt.righe, quantita: latoTxt.quantita, um: [...latoTxt.um].join('/') || null } : null,
+        esiti: []
+      };
+      if (!latoTxt) {
+        voce.esiti.push('mancante_in_txt');
+      } else {
+        if (Math.abs(lato.quantita - latoTxt.quantita) >= TOLLERANZA_QUANTITA) voce.esiti.push('differenza_quantita');
+        if (latoTxt.um.size > 0 && [...latoTxt.um].some(um => !lato.um.has(um))) voce.esiti.push('um_diversa');
+      }
+      return voce;
+    });
+
+  const nonAbbinate = righeTxt.filter(r => !r.codice).map(({ riga_numero, riga }) => ({ riga_numero, riga }));
+  const conta = (esito) => righe.filter(r => r.esiti.includes(esito)).length;
+  const riepilogo = {
+    righe_ddt: prodottiDDT.length,
+    righe_txt: righeTxt.length,
+    abbinate: righe.filter(r => r.txt).length,
+    mancanti_in_txt: conta('mancante_in_txt'),
+    differenze_quantita: conta('differenza_quantita'),
+    um_diverse: conta('um_diversa'),
+    righe_txt_non_abbinate: nonAbbinate.length
+  };
+
+  return {
+    fattura: {
+      id: record.id,
+      numero: record.numero,
+      fornitore: record.fornitore,
+      punto_vendita: record.punto_vendita,
+      data_emissione: record.data_emissione,
+      stato: record.stato
+    },
+    allineata: riepilogo.mancanti_in_txt + riepilogo.differenze_quantita + riepilogo.um_diverse + riepilogo.righe_txt_non_abbinate === 0,
+    riepilogo,
+    righe,
+    righe_txt_non_abbinate: nonAbbinate
+  };
+};
+
+// ==========================================
+// LISTINI FORNITORI E VERIFICA IMPORTI
+// ==========================================
+// Il totale atteso è la somma quantità × prezzo di listino valido alla data di emissione,
+// sulle righe del DDT. Lo scostamento ammesso è il maggiore tra la tolleranza in euro
+// e quella percentuale sul totale atteso.
+const priceListStore = createPriceListStore({
+  file: path.join(RUNTIME_DATA_DIR, 'price-lists.json'),
+  normalizzaCodice
+});
+
+const ESITI_VERIFICA_IMPORTO = ['ok', 'fuori_tolleranza', 'listino_incompleto', 'non_verificabile'];
+
+const formatVoceListino = (voce) => ({
+  id: voce.id,
+  fornitore: voce.fornitore,
+  codice: voce.codice,
+  descrizione: voce.descrizione,
+  um: voce.um,
+  prezzo: voce.prezzo,
+  valido_dal: voce.validoDal,
+  valido_al: voce.validoAl,
+  creato_da: voce.createdBy,
+  creato_il: voce.createdAt,
+  aggiornato_il: voce.updatedAt
+});
+
+// Voce del body (campi snake_case) → { voce } nel formato dello store oppure { error }.
+// Con parziale = true valida solo i campi presenti (modifica di una voce esistente).
+const validaVoceListino = (input, { parziale = false } = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Voce di listino non valida' };
+  const voce = {};
+  const presente = (campo) => !parziale || input[campo] !== undefined;
+
+  if (presente('codice')) {
+    const codice = sanitizeText(input.codice);
+    if (!codice) return { error: 'Codice prodotto richiesto' };
+    voce.codice = codice;
+  }
+  if (input.descrizione !== undefined) voce.descrizione = sanitizeText(input.descrizione);
+  if (input.um !== undefined) voce.um = normalizzaUm(input.um);
+  if (presente('prezzo')) {
+    const prezzo = typeof input.prezzo === 'number' ? input.prezzo : parseImporto(input.prezzo);
+    if (prezzo === null || !Number.isFinite(prezzo) || prezzo < 0) return { error: `Prezzo non valido per ${voce.codice || 'la voce'}` };
+    voce.prezzo = prezzo;
+  }
+  if (presente('valido_dal')) {
+    if (!validator.isDate(String(input.valido_dal || ''))) return { error: 'valido_dal richiesto (formato YYYY-MM-DD)' };
+    voce.validoDal = input.valido_dal;
+  }
+  if (input.valido_al !== undefined && input.valido_al !== null && input.valido_al !== '') {
+    if (!validator.isDate(String(input.valido_al))) return { error: 'valido_al non valido (formato YYYY-MM-DD)' };
+    voce.validoAl = input.valido_al;
+  } else if (input.valido_al !== undefined) {
+    voce.validoAl = null;
+  }
+  return { voce };
+};
+
+const arrotondaEuro = (valore) => Math.round(valore * 100) / 100;
+
+// Accetta "1234.56", "1234,56" e "1.234,56"; null se vuoto o non numerico
+const parseImporto = (value) => {
+  const text = String(value ?? '').trim().replace(/\s|€/g, '');
+  if (text === '') return null;
+  const normalizzato = text.includes(',') ? text.replace(/\./g, '').replace(',', '.') : text;
+  return /^-?\d+(\.\d+)?$/.test(normalizzato) ? parseFloat(normalizzato) : null;
+};
+
+// listino: snapshot di priceListStore (find(fornitore, codice, data))
+const verificaImporto = (record, listino) => {
+  const importoFattura = parseImporto(record.importo_totale);
+  const prodotti = parseDDTCompleto(record.testo_ddt || '');
+  const risultato = {
+    esito: 'non_verificabile',
+    importo_fattura: importoFattura,
+    importo_atteso: null,
+    scostamento: null,
+    scostamento_percentuale: null,
+    tolleranza: null,
+    righe_senza_prezzo: []
+  };
+  if (importoFattura === null || prodotti.length === 0 || !record.data_emissione) return risultato;
+
+  let atteso = 0;
+  prodotti.forEach(p => {
+    const voce = listino.find(record.fornitore, p.codice, record.data_emissione);
+    if (voce) {
+      atteso += p.quantita * voce.prezzo;
+    } else {
+      risultato.righe_senza_prezzo.push({ riga_numero: p.riga_numero, codice: p.codice, nome: p.nome });
+    }
+  });
+  // Senza alcun prezzo il fornitore non ha listino: nessun confronto
+  if (risultato.righe_senza_prezzo.length === prodotti.length) return risultato;
+
+  const scostamento = importoFattura - atteso;
+  risultato.importo_atteso = arrotondaEuro(atteso);
+  risultato.scostamento = arrotondaEuro(scostamento);
+  risultato.scostamento_percentuale = atteso > 0 ? arrotondaEuro(scostamento / atteso * 100) : null;
+  risultato.tolleranza = arrotondaEuro(Math.max(IMPORTO_TOLLERANZA_EURO, atteso * IMPORTO_TOLLERANZA_PERCENTUALE / 100));
+
+  if (risultato.righe_senza_prezzo.length > 0) {
+    risultato.esito = 'listino_incompleto';
+  } else {
+    risultato.esito = Math.abs(scostamento) > risultato.tolleranza ? 'fuori_tolleranza' : 'ok';
+  }
+  return risultato;
+};
+
+// ==========================================
+// FATTURE DUPLICATE
+// ==========================================
+// La stessa fattura del fornitore caricata più volte (con id diversi, anche su punti
+// vendita diversi) ha la stessa chiave fornitore + numero + data di emissione + importo.
+// Le copie già unite (duplicato_di valorizzato) non vengono più considerate.
+const duplicateReviewStore = createDuplicateReviewStore({ file: path.join(RUNTIME_DATA_DIR, 'duplicate-reviews.json') });
+
+const CAMPI_DUPLICATO = ['id', 'numero', 'fornitore', 'data_emissione', 'importo_totale', 'punto_vendita', 'stato', 'data_consegna', 'confermato_da'];
+
+const chiaveDuplicato = (record) => {
+  if (!normalizzaNumeroFattura(record.numero)) return null;
+  const importo = parseImporto(record.importo_totale);
+  return [
+    chiaveNumeroFornitore(record.fornitore, record.numero),
+    record.data_emissione || '',
+    importo === null ? '' : importo.toFixed(2)
+  ].join('|');
+};
+
+// Identificativo stabile finché il gruppo contiene le stesse fatture
+const idGruppoDuplicati = (ids) => crypto.createHash('sha1').update([...ids].sort().join('|')).digest('hex').slice(0, 16);
+
+// records: righe grezze dello storage, comprese quelle con id ripetuto che loadAllSheetData scarta.
+// reviews: decisioni registrate; fileTxt: numero di file TXT attivi per id fattura
+const trovaDuplicati = (records, { reviews = [], fileTxt = new Map() } = {}) => {
+  const perId = new Map();
+  records.forEach(r => perId.set(String(r.id), [...(perId.get(String(r.id)) || []), r]));
+
+  const idRipetuti = [...perId.entries()]
+    .filter(([, righe]) => righe.length > 1)
+    .map(([id, righe]) => ({ id, righe: righe.length, fatture: righe.map(r => pickFields(r, CAMPI_DUPLICATO)) }));
+
+  const perChiave = new Map();
+  [...perId.values()].map(righe => righe[0]).filter(r => !r.duplicato_di).forEach(r => {
+    const chiave = chiaveDuplicato(r);
+    if (chiave) perChiave.set(chiave, [...(perChiave.get(chiave) || []), r]);
+  });
+
+  const ignorati = reviews.filter(r => r.esito === 'ignorate');
+  const gruppi = [...perChiave.entries()]
+    .filter(([, fatture]) => fatture.length > 1)
+    .map(([chiave, fatture]) => {
+      const ids = fatture.map(f => String(f.id));
+      const ignorato = ignorati.filter(r => ids.every(id => r.fatture.includes(id))).pop();
+      return {
+        gruppo: idGruppoDuplicati(ids),
+        chiave,
+        punti_vendita_diversi: new Set(fatture.map(f => f.punto_vendita)).size > 1,
+        ignorato: ignorato ? { deciso_da: ignorato.decisoDa, deciso_il: ignorato.decisoIl, motivo: ignorato.motivo } : null,
+        fatture: fatture.map(f => ({ ...pickFields(f, CAMPI_DUPLICATO), file_txt: fileTxt.get(String(f.id)) || 0 }))
+      };
+    });
+
+  return { gruppi, idRipetuti };
+};
+
+// ==========================================
+// SLA CONFERMA FATTURE E SOLLECITI
+// ==========================================
+// Una fattura pending è scaduta quando i giorni trascorsi dall'emissione superano il
+// limite del suo fornitore (o quello predefinito); oltre la soglia di escalation viene
+// segnalata anche all'ufficio. Il sollecito parte una volta al giorno dopo SOLLECITI_ORA.
+const slaStore = createSlaStore({ file: path.join(RUNTIME_DATA_DIR, 'sla.json') });
+
+const SLA_PREDEFINITO = { giorni: SLA_CONFERMA_GIORNI, escalationGiorni: SLA_ESCALATION_GIORNI };
+const GIORNO_MS = 24 * 60 * 60 * 1000;
+const EMAIL_UFFICIO = process.env.SOLLECITI_EMAIL_UFFICIO || negozi.find(n => n.codice === '0')?.email || '';
+
+// Data locale del server in formato YYYY-MM-DD
+const dataLocaleISO = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const giorniTrascorsi = (dal, al) => Math.floor((Date.parse(al) - Date.parse(dal)) / GIORNO_MS);
+
+// config: documento di slaStore → (fornitore) => { giorni, escalationGiorni, fornitore? }
+const regolaSla = (config) => {
+  const predefinito = config.predefinito || SLA_PREDEFINITO;
+  const perFornitore = new Map(config.fornitori.map(r => [r.fornitore.trim().toLowerCase(), r]));
+  return (fornitore) => perFornitore.get(String(fornitore || '').trim().toLowerCase()) || predefinito;
+};
+
+const fattureScadute = (records, config, oggi) => {
+  const regola = regolaSla(config);
+  return records
+    .filter(r => (r.stato || 'pending') === 'pending' && validator.isDate(String(r.data_emissione || '')))
+    .map(r => {
+      const sla = regola(r.fornitore);
+      const giorni = giorniTrascorsi(r.data_emissione, oggi);
+      return {
+        ...pickFields(r, ['id', 'numero', 'fornitore', 'data_emissione', 'punto_vendita', 'importo_totale']),
+        giorni_attesa: giorni,
+        sla_giorni: sla.giorni,
+        escalation_giorni: sla.escalationGiorni,
+        sla_fornitore: Boolean(sla.fornitore),
+        escalation: giorni > sla.escalationGiorni
+      };
+    })
+    .filter(f => f.giorni_attesa > f.sla_giorni)
+    .sort((a, b) => b.giorni_attesa - a.giorni_attesa);
+};
+
+const raggruppaScadutePerNegozio = (scadute) => {
+  const gruppi = new Map();
+  scadute.forEach(f => gruppi.set(f.punto_vendita, [...(gruppi.get(f.punto_vendita) || []), f]));
+  return [...gruppi.entries()]
+    .map(([puntoVendita, fatture]) => ({
+      punto_vendita: puntoVendita,
+      email: negozi.find(n => n.nome === puntoVendita)?.email || null,
+      totale: fatture.length,
+      in_escalation: fatture.filter(f => f.escalation).length,
+      fatture
+    }))
+    .sort((a, b) => b.totale - a.totale);
+};
+
+// Stesso payload delle segnalazioni ai fornitori: senza N8N_WEBHOOK_URL l'invio è solo loggato
+const inviaEmail = async (payload) => {
+  if (!N8N_WEBHOOK_URL) {
+    console.log(`📧 SIMULAZIONE INVIO EMAIL a ${payload.destinatario}: ${payload.oggetto}`);
+    return { simulato: true };
+  }
+  const response = await fetch(N8N_WEBHOOK_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  if (!response.ok) throw new Error(`Webhook n8n failed: ${response.status} ${response.statusText}`);
+  return { simulato: false };
+};
+
+const elencoFattureEmail = (fatture) => fatture
+  .map(f => `- ${f.numero} (${f.fornitore}) emessa il ${f.data_emissione}: ${f.giorni_attesa} giorni, limite ${f.sla_giorni}` +
+    (f.punto_vendita ? ` - ${f.punto_vendita}` : ''))
+  .join('\n');
+
+// Un'email per punto vendita con le fatture scadute, più una all'ufficio con quelle in escalation
+const inviaSolleciti = async ({ oggi = dataLocaleISO() } = {}) => {
+  const [records, config] = await Promise.all([storage.invoices.list(), slaStore.read()]);
+  const perNegozio = raggruppaScadutePerNegozio(fattureScadute(records, config, oggi));
+
+  const invia = async (destinatario, oggetto, fatture, tipo) => {
+    if (!destinatario) return { esito: 'email_mancante' };
+    try {
+      const { simulato } = await inviaEmail({
+        destinatario,
+        oggetto,
+        corpo: `Fatture in attesa di conferma oltre il tempo massimo:\n\n${elencoFattureEmail(fatture)}`,
+        mittente: 'sistema',
+        timestamp: new Date().toISOString(),
+        tipo,
+        fatture
+      });
+      return { esito: 'inviato', simulato };
+    } catch (error) {
+      console.error(`❌ Errore invio sollecito a ${destinatario}:`, error.message);
+      return { esito: 'errore', errore: error.message };
+    }
+  };
+
+  const puntiVendita = [];
+  for (const gruppo of perNegozio) {
+    const fatture = gruppo.fatture.map(({ punto_vendita, ...f }) => f);
+    const risultato = await invia(gruppo.email, `Fatture da confermare - ${gruppo.punto_vendita}`, fatture, 'sollecito_conferma');
+    puntiVendita.push({ punto_vendita: gruppo.punto_vendita, destinatario: gruppo.email, fatture: gruppo.totale, ...risultato });
+  }
+
+  const inEscalation = perNegozio.flatMap(g => g.fatture.filter(f => f.escalation));
+  const escalation = inEscalation.length > 0
+    ? { destinatario: EMAIL_UFFICIO, fatture: inEscalation.length,
+        ...(await invia(EMAIL_UFFICIO, `Escalation: ${inEscalation.length} fatture non confermate`, inEscalation, 'escalation_conferma')) }
+    : null;
+
+  console.log(`⏰ Solleciti ${oggi}: ${puntiVendita.length} punti vendita, ${inEscalation.length} fatture in escalation`);
+  return { giorno: oggi, punti_vendita: puntiVendita, escalation };
+};
+
+const avviaSollecitiGiornalieri = () => {
+  if (!SOLLECITI_ATTIVI) {
+    console.log('⏰ Solleciti fatture scadute: disattivati (SOLLECITI_ATTIVI=true per abilitarli)');
+    return;
+  }
+  const controlla = async () => {
+    const adesso = new Date();
+    if (adesso.getHours() < SOLLECITI_ORA) return;
+    const oggi = dataLocaleISO(adesso);
+    try {
+      if (!(await slaStore.claimRun(oggi))) return;
+      let esito;
+      try {
+        esito = await inviaSolleciti({ oggi });
+      } catch (error) {
+        await slaStore.releaseRun(oggi, error.message);
+        throw error;
+      }
+      await slaStore.recordRun(esito);
+      await audit(null, 'sla.notify', { details: { ...esito, automatico: true } });
+    } catch (error) {
+      console.error('❌ Errore solleciti giornalieri:', error);
+    }
+  };
+  setInterval(controlla, 15 * 60 * 1000).unref();
+  controlla();
+  console.log(`⏰ Solleciti fatture scadute: ogni giorno dalle ${SOLLECITI_ORA}:00`);
+};
+
 // ==========================================
 // GENERAZIONE FILE TXT (per fatture consegnate)
 // ==========================================
-const generateTxtFile = async (invoiceData, isModification = false) => {
+// parte = progressivo di una consegna parziale: il file ha un nome proprio e
+// non sostituisce né viene sostituito dai file delle altre consegne
+const generateTxtFile = async (invoiceData, isModification = false, { parte = null } = {}) => {
   try {
     console.log('📄 Generando file TXT per fattura:', invoiceData.id, isModification ? '(MODIFICA)' : '(NUOVA)');
 
@@ -274,7 +784,8 @@ const generateTxtFile = async (invoiceData, isModification = false) => {
     
     const errorSuffix = hasErrors ? '_ERRORI' : '';
 
-    const fileName = `${numeroDocPulito}_${dataFormatted}_${nomeFornitorePulito}_${codicePVPulito}${errorSuffix}.txt`;
+    const prefissoFile = parte ? `${numeroDocPulito}_P${parte}` : numeroDocPulito;
+    const fileName = `${prefissoFile}_${dataFormatted}_${nomeFornitorePulito}_${codicePVPulito}${errorSuffix}.txt`;
     const filePath = path.join(TXT_FILES_DIR, fileName);
 
     let existingFiles = [];
@@ -282,8 +793,10 @@ const generateTxtFile = async (invoiceData, isModification = false) => {
     // NUOVO: Cerca e rimuovi file esistenti per questa fattura
     try {
       const allFiles = await fs.readdir(TXT_FILES_DIR);
+      const isFileParziale = (file) => /^_P\d+_/.test(file.slice(numeroDocPulito.length));
       existingFiles = allFiles.filter(file => {
-        return file.startsWith(numeroDocPulito + '_') && 
+        return file.startsWith(prefissoFile + '_') && 
+               (parte || !isFileParziale(file)) &&
                file.endsWith('.txt') && 
                !file.includes('.backup');
       });
@@ -299,6 +812,7 @@ const generateTxtFile = async (invoiceData, isModification = false) => {
           await fs.writeFile(backupPath, oldContent, 'utf8');
           
           await fs.unlink(oldFilePath);
+          await txtIndex.remove(oldFile);
           console.log(`   ✅ Rimosso file vecchio: ${oldFile} (backup creato)`);
         }
       }
@@ -307,6 +821,17 @@ const generateTxtFile = async (invoiceData, isModification = false) => {
     }
 
     await fs.writeFile(filePath, contenutoTxt, 'utf8');
+    await txtIndex.upsert({
+      fileName,
+      invoiceId: String(invoiceData.id || ''),
+      numero: String(numeroDocumento),
+      fornitore: nomeFornitore,
+      puntoVendita,
+      codicePV,
+      dataConsegna,
+      hasErrors: Boolean(hasErrors),
+      parte
+    });
 
     if (hasErrors) {
       console.log(`⚠️ File TXT CON ERRORI generato: ${fileName}`);
@@ -336,7 +861,9 @@ const generateTxtFile = async (invoiceData, isModification = false) => {
   }
 };
 
-const users = [
+// Utenti di default: usati solo per inizializzare l'anagrafica al primo avvio
+// (le password in chiaro delle variabili d'ambiente vengono salvate come hash bcrypt)
+const defaultUsers = [
   { 
     id: 1, 
     name: "FDV Office", 
@@ -573,86 +1100,412 @@ const users = [
   }
 ];
 
-console.log('👥 Utenti disponibili:', users.length);
-console.log('🏢 Punti vendita configurati:', [...new Set(users.map(u => u.puntoVendita))].length);
+const userStore = createUserStore({ file: path.join(RUNTIME_DATA_DIR, 'users.json'), seed: defaultUsers });
+
+userStore.list()
+  .then(users => {
+    console.log('👥 Utenti disponibili:', users.length);
+    console.log('🏢 Punti vendita configurati:', [...new Set(users.map(u => u.puntoVendita))].length);
+  })
+  .catch(error => console.error('❌ Errore caricamento anagrafica utenti:', error));
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// ==========================================
+// PERMESSI: OGNI RUOLO HA UN SET DI DEFAULT, user.permissions AGGIUNGE PERMESSI EXTRA
+// ==========================================
+const PERMISSIONS = ['view_all', 'edit_all', 'manage_users', 'analytics', 'reports', 'system_config'];
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  accountant: ['analytics', 'reports'], // sola lettura di dashboard ed export
+  operator: []
+};
+const USER_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const resolvePermissions = (user) =>
+  [...new Set([...(ROLE_PERMISSIONS[user.role] || []), ...(user.permissions || [])])]
+    .filter(p => PERMISSIONS.includes(p));
+
+// I token emessi prima dell'introduzione dei permessi non hanno il claim: si ricava dal ruolo
+const hasPermission = (user, permission) =>
+  (Array.isArray(user.permissions) ? user.permissions : resolvePermissions(user)).includes(permission);
+
+// ==========================================
+// PUNTI VENDITA ACCESSIBILI: puntoVendita + stores aggiuntivi + regioni
+// ==========================================
+const STORE_NAMES = negozi.map(n => n.nome);
+const STORE_REGIONS = [...new Set(negozi.map(n => n.regione).filter(Boolean))];
+
+// null = tutti i punti vendita
+const resolveStores = (user) => {
+  if (user.storeAccess === 'global' || resolvePermissions(user).includes('view_all')) return null;
+  const regions = user.regions || [];
+  return [...new Set([
+    user.puntoVendita,
+    ...(user.stores || []),
+    ...negozi.filter(n => regions.includes(n.regione)).map(n => n.nome)
+  ].filter(Boolean))];
+};
+
+// Lavora sul payload del token (claim storeScope); i token senza claim vedono solo il proprio punto vendita
+const getUserStores = (user) => {
+  if (user.storeScope !== undefined) return user.storeScope;
+  return hasPermission(user, 'view_all') ? null : [user.puntoVendita];
+};
+
+const canAccessStore = (user, store) => {
+  const stores = getUserStores(user);
+  return stores === null || stores.includes(store);
+};
+
+// Selettore ?store= validato rispetto ai punti vendita dell'utente
+const resolveStoreScope = (req) => {
+  const allowed = getUserStores(req.user);
+  const requested = typeof req.query.store === 'string' ? req.query.store.trim() : '';
+  if (!requested || requested === 'ALL') return { stores: allowed };
+  if (!canAccessStore(req.user, requested)) return { error: `Punto vendita non autorizzato: ${requested}` };
+  return { stores: [requested] };
+};
+
+const validatePassword = (password) =>
+  typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+
+const toPublicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  puntoVendita: user.puntoVendita,
+  role: user.role,
+  permissions: user.permissions || [],
+  effectivePermissions: resolvePermissions(user),
+  stores: user.stores || [],
+  regions: user.regions || [],
+  accessibleStores: resolveStores(user)
+});
+
+// ==========================================
+// SESSIONI: ACCESS TOKEN BREVI + REFRESH TOKEN A ROTAZIONE
+// ==========================================
+const sessionStore = createSessionStore({
+  file: path.join(RUNTIME_DATA_DIR, 'sessions.json'),
+  refreshTtlMs: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+});
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user.id,
+    email: user.email,
+    puntoVendita: user.puntoVendita,
+    role: user.role,
+    permissions: resolvePermissions(user),
+    storeScope: resolveStores(user),
+    sid: sessionId,
+    iatMs: Date.now()
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+);
+
+// Risposta comune a login e refresh
+const buildTokenResponse = (user, session, refreshToken) => {
+  const token = signAccessToken(user, session.id);
+  return {
+    token,
+    refreshToken,
+    expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+    refreshExpiresAt: session.expiresAt
+  };
+};
+
+// ==========================================
+// CHIAVI API (client automatici): accettate da authenticateToken solo sulle
+// route che dichiarano uno scope con allowApiKey(scope)
+// ==========================================
+const API_KEY_SCOPES = ['invoices:read', 'txt:read', 'movimentazioni:read', 'segnalazioni:read', 'segnalazioni:write'];
+const apiKeyStore = createApiKeyStore({ file: path.join(RUNTIME_DATA_DIR, 'api-keys.json') });
+
+const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const apiKey = await apiKeyStore.verify(key);
+    if (!apiKey) return res.status(401).json({ error: 'Chiave API non valida o revocata', code: 'API_KEY_INVALID' });
+
+    if (!req.apiKeyScope || !apiKey.scopes.includes(req.apiKeyScope)) {
+      console.warn(`⚠️ Chiave API ${apiKey.prefix} usata fuori scope:`, req.method, req.originalUrl);
+      return res.status(403).json({ error: 'Scope della chiave API insufficiente', scope_richiesto: req.apiKeyScope || null });
+    }
+
+    apiKeyStore.touch(apiKey.id, req.ip)
+      .catch(error => console.error('❌ Errore aggiornamento ultimo utilizzo chiave API:', error.message));
+
+    req.user = {
+      userId: `apikey:${apiKey.id}`,
+      email: `apikey:${apiKey.name}`,
+      role: 'api_key',
+      puntoVendita: null,
+      permissions: [],
+      storeScope: apiKey.stores,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes
+    };
+    next();
+  } catch (error) {
+    console.error('❌ Errore verifica chiave API:', error);
+    res.status(500).json({ error: 'Errore interno del server' });
+  }
+};
 
 const authenticateToken = (req, res, next) => {
-  const token = (req.headers['authorization'] || '').split(' ')[1];
+  const token = req.headers['x-api-key'] || (req.headers['authorization'] || '').split(' ')[1];
   if (!token) return res.status(401).json({ error: 'Token di accesso richiesto' });
+  if (isApiKey(token)) return authenticateApiKey(req, res, next, token);
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: 'Token non valido' });
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+    if (err) {
+      // TOKEN_EXPIRED: il client deve chiamare /api/auth/refresh
+      const code = err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID';
+      return res.status(403).json({ error: 'Token non valido', code });
+    }
+    try {
+      if (await sessionStore.isAccessTokenRevoked(user)) {
+        return res.status(401).json({ error: 'Sessione revocata', code: 'SESSION_REVOKED' });
+      }
+    } catch (error) {
+      console.error('❌ Errore verifica revoca sessione:', error);
+      return res.status(500).json({ error: 'Errore interno del server' });
+    }
     req.user = user;
     next();
   });
 };
-const requireAdmin = (req, res, next) => {
-  console.log('🔒 Verifica permessi admin per:', req.user.email, 'Role:', req.user.role);
-  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Accesso riservato agli amministratori' });
+const requirePermission = (permission) => (req, res, next) => {
+  // Per le chiavi API lo scope della route è già stato verificato da authenticateToken
+  if (req.user.apiKeyId) return next();
+  if (!hasPermission(req.user, permission)) {
+    console.warn(`⚠️ Permesso ${permission} negato per:`, req.user.email);
+    return res.status(403).json({ error: 'Permesso insufficiente', permesso_richiesto: permission });
+  }
   next();
 };
 
-const loadAllSheetData = async () => {
+// Controllo centrale di appartenenza per le route /api/invoices/:id:
+// 404 se la fattura non esiste, 403 se appartiene a un punto vendita non accessibile.
+// Il record letto resta disponibile in req.invoice.
+const requireInvoiceAccess = async (req, res, next) => {
   try {
-    console.log('📊 Admin: Caricamento dati globali da Google Sheets');
-    const sheet = await getGoogleSheet();
-    const rows = await sheet.getRows();
+    const invoice = await storage.invoices.findById(String(req.params.id));
+    if (!invoice) return res.status(404).json({ error: 'Fattura non trovata' });
+    if (!canAccessStore(req.user, invoice.punto_vendita)) {
+      console.warn(`⚠️ Accesso negato alla fattura ${req.params.id} per:`, req.user.email);
+      return res.status(403).json({ error: 'Non autorizzato per questo punto vendita' });
+    }
+    req.invoice = invoice;
+    next();
+  } catch (error) {
+    console.error('❌ Errore verifica accesso fattura:', error);
+    res.status(500).json({ error: 'Impossibile verificare l\'accesso alla fattura' });
+  }
+};
 
-    const data = rows.map(row => {
-      const erroriConsegnaValue = String(row.get('errori_consegna') || '').trim();
-      const noteValue = String(row.get('note') || '').trim();
-      const itemNoConvValue = String(row.get('item_noconv') || '').trim();
-      const storicoValue = String(row.get('storico_modifiche') || '').trim();
-      
-      // ✅ CALCOLA FLAG ERRORI
-      const has_errors = (
-        erroriConsegnaValue !== '' || 
-        noteValue !== '' || 
-        itemNoConvValue !== ''
-      );
-      
-      // ✅ CALCOLA FLAG CRONOLOGIA
-      const has_history = storicoValue !== '';
-      
-      // ✅ CONTA MODIFICHE
-      let history_count = 0;
-      if (has_history) {
-        try {
-          const storicoArray = JSON.parse(storicoValue);
-          history_count = Array.isArray(storicoArray) ? storicoArray.length : 0;
-        } catch {
-          history_count = 0;
-        }
-      }
+// ==========================================
+// AUDIT LOG (append-only, RUNTIME_DATA_DIR/audit.log.jsonl)
+// ==========================================
+const auditLog = createAuditLog({ file: path.join(RUNTIME_DATA_DIR, 'audit.log.jsonl') });
 
-      return {
-        id: row.get('id'),
-        numero: row.get('numero'),
-        fornitore: row.get('fornitore'),
-        data_emissione: row.get('data_emissione'),
-        data_consegna: row.get('data_consegna'),
-        stato: row.get('stato'),
-        punto_vendita: row.get('punto_vendita'),
-        confermato_da: row.get('confermato_da'),
-        pdf_link: row.get('pdf_link'),
-        importo_totale: row.get('importo_totale'),
-        note: row.get('note') || '',
-        txt: row.get('txt') || '',
-        codice_fornitore: row.get('codice_fornitore') || '',
-        testo_ddt: row.get('testo_ddt') || '',
-        item_noconv: row.get('item_noconv') || '',
-        storico_modifiche: row.get('storico_modifiche') || '',
-        errori_consegna: row.get('errori_consegna') || '',
-        // ✅ NUOVI FLAG
-        has_errors,
-        has_history,
-        history_count
-      };
+// Non interrompe mai la richiesta: un errore di scrittura viene solo loggato.
+// actor: utente del token (default) oppure record utente (login)
+// req null = operazione pianificata (nessun utente né IP)
+const audit = async (req, action, { actor = req?.user, target = null, store = null, before = null, after = null, details = null } = {}) => {
+  try {
+    await auditLog.append({
+      action,
+      actor: actor ? { id: actor.userId ?? actor.id ?? null, email: actor.email || null, role: actor.role || null } : null,
+      target,
+      store,
+      before,
+      after,
+      details,
+      ip: req?.ip ?? null
     });
+  } catch (error) {
+    console.error('❌ Errore scrittura audit:', action, error.message);
+  }
+};
+
+const pickFields = (record, fields) => Object.fromEntries(fields.map(f => [f, record?.[f] ?? '']));
+
+// ==========================================
+// ALLEGATI SEGNALAZIONI (foto e PDF su disco, RUNTIME_DATA_DIR/allegati)
+// ==========================================
+const attachmentStore = createAttachmentStore({
+  dir: path.join(RUNTIME_DATA_DIR, 'allegati'),
+  file: path.join(RUNTIME_DATA_DIR, 'allegati.json')
+});
+
+const uploadAllegati = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ALLEGATI_MAX_SIZE_MB * 1024 * 1024, files: ALLEGATI_MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    const error = new Error(`Tipo di file non ammesso: ${file.originalname}`);
+    error.code = 'UNSUPPORTED_FILE_TYPE';
+    cb(error);
+  }
+}).array('allegati');
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: `File troppo grande (massimo ${ALLEGATI_MAX_SIZE_MB} MB)`,
+  LIMIT_FILE_COUNT: `Troppi file (massimo ${ALLEGATI_MAX_FILES} per richiesta)`,
+  LIMIT_UNEXPECTED_FILE: 'Gli allegati vanno inviati nel campo "allegati"'
+};
+
+// Legge i file multipart del campo "allegati" in req.files; le richieste JSON passano invariate
+const parseAllegati = (req, res, next) => uploadAllegati(req, res, (error) => {
+  if (!error) return next();
+  if (error instanceof multer.MulterError) {
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: MULTER_ERRORS[error.code] || error.message, code: error.code });
+  }
+  if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+    return res.status(415).json({ error: error.message, code: error.code, tipi_ammessi: ALLOWED_MIME_TYPES });
+  }
+  next(error);
+});
+
+// Verifica contenuto e riga DDT di tutti i file prima di salvarne uno: { files } oppure { error }
+const validaAllegati = (req, invoice) => {
+  let rigaNumero = null;
+  if (req.body?.riga_numero !== undefined && req.body.riga_numero !== '') {
+    rigaNumero = Number(req.body.riga_numero);
+    const righe = parseDDTCompleto(invoice.testo_ddt || '').map(r => r.riga_numero);
+    if (!righe.includes(rigaNumero)) return { error: `Riga ${req.body.riga_numero} non presente nel DDT` };
+  }
+
+  const files = [];
+  for (const file of req.files || []) {
+    const mimeType = detectFileType(file.buffer);
+    if (!mimeType) return { error: `Contenuto non riconosciuto come immagine o PDF: ${file.originalname}` };
+    files.push({ file, mimeType });
+  }
+  return { files, rigaNumero };
+};
+
+const salvaAllegati = (req, invoice, { files, rigaNumero }) => Promise.all(files.map(({ file, mimeType }) =>
+  attachmentStore.save({
+    invoiceId: invoice.id,
+    rigaNumero,
+    buffer: file.buffer,
+    mimeType,
+    originalName: sanitizeText(file.originalname),
+    descrizione: sanitizeText(req.body?.descrizione || ''),
+    uploadedBy: req.user.email
+  })));
+
+// Link firmato e con scadenza, apribile senza login (per le email ai fornitori)
+const firmaLinkAllegato = (attachmentId, expires) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`allegato:${attachmentId}:${expires}`).digest('hex');
+
+const linkPubblicoAllegato = (req, attachment) => {
+  const expires = Date.now() + ALLEGATI_LINK_TTL_DAYS * 24 * 60 * 60 * 1000;
+  const base = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base}/api/public/attachments/${attachment.id}?expires=${expires}&sig=${firmaLinkAllegato(attachment.id, expires)}`;
+};
+
+const formatAllegato = (attachment) => ({
+  id: attachment.id,
+  riga_numero: attachment.rigaNumero,
+  nome: attachment.originalName,
+  tipo: attachment.mimeType,
+  dimensione: attachment.size,
+  descrizione: attachment.descrizione,
+  caricato_da: attachment.uploadedBy,
+  caricato_il: attachment.uploadedAt,
+  url: `/api/invoices/${encodeURIComponent(attachment.invoiceId)}/attachments/${attachment.id}`
+});
+
+const inviaFileAllegato = (res, attachment) => {
+  res.set('Content-Type', attachment.mimeType);
+  res.set('Content-Disposition', `inline; filename="${attachment.originalName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"`);
+  res.sendFile(attachmentStore.filePath(attachment), (error) => {
+    if (error && !res.headersSent) res.status(404).json({ error: 'File allegato non trovato' });
+  });
+};
+
+// ==========================================
+// MAPPING RECORD FATTURA (con flag errori/cronologia)
+// ==========================================
+const mapInvoiceRecord = (record) => {
+  const erroriConsegnaValue = String(record.errori_consegna || '').trim();
+  const noteValue = String(record.note || '').trim();
+  const itemNoConvValue = String(record.item_noconv || '').trim();
+  const storicoValue = String(record.storico_modifiche || '').trim();
+
+  // ✅ CALCOLA FLAG ERRORI
+  const has_errors = (
+    erroriConsegnaValue !== '' || 
+    noteValue !== '' || 
+    itemNoConvValue !== ''
+  );
+
+  // ✅ CALCOLA FLAG CRONOLOGIA
+  const has_history = storicoValue !== '';
+
+  // ✅ CONTA MODIFICHE
+  let history_count = 0;
+  if (has_history) {
+    try {
+      const storicoArray = JSON.parse(storicoValue);
+      history_count = Array.isArray(storicoArray) ? storicoArray.length : 0;
+    } catch {
+      history_count = 0;
+    }
+  }
+
+  return {
+    id: record.id,
+    numero: record.numero,
+    fornitore: record.fornitore,
+    data_emissione: record.data_emissione,
+    data_consegna: record.data_consegna,
+    stato: record.stato,
+    punto_vendita: record.punto_vendita,
+    confermato_da: record.confermato_da,
+    pdf_link: record.pdf_link,
+    importo_totale: record.importo_totale,
+    note: record.note || '',
+    txt: record.txt || '',
+    codice_fornitore: record.codice_fornitore || '',
+    testo_ddt: record.testo_ddt || '',
+    item_noconv: record.item_noconv || '',
+    storico_modifiche: record.storico_modifiche || '',
+    errori_consegna: record.errori_consegna || '',
+    consegne_parziali: record.consegne_parziali || '',
+    duplicato_di: record.duplicato_di || '',
+    segnalazione_inviata: record.segnalazione_inviata || '',
+    segnalazione_inviata_da: record.segnalazione_inviata_da || '',
+    // ✅ NUOVI FLAG
+    has_errors,
+    has_history,
+    history_count,
+    has_backorder: hasBackorderAperto(record)
+  };
+};
+
+const loadAllSheetData = async () => {
+  try {
+    console.log('📊 Admin: Caricamento dati globali da storage:', storage.backend);
+    const records = await storage.invoices.list();
+    const data = records.map(mapInvoiceRecord);
 
     const uniqueData = data.filter((invoice, index, self) =>
       index === self.findIndex(i => i.id === invoice.id)
     );
+    if (uniqueData.length < data.length) {
+      console.warn(`⚠️ ${data.length - uniqueData.length} righe con id ripetuto ignorate (vedi /api/admin/duplicates)`);
+    }
 
     console.log(`✅ Caricati ${uniqueData.length} record`);
     console.log(`   → Con errori: ${uniqueData.filter(d => d.has_errors).length}`);
@@ -665,60 +1518,13 @@ const loadAllSheetData = async () => {
   }
 };
 
-const loadSheetData = async (puntoVendita) => {
+// stores: elenco dei punti vendita da includere (null = tutti)
+const loadSheetData = async (stores) => {
   try {
-    const sheet = await getGoogleSheet();
-    const rows = await sheet.getRows();
-    
-    let data = rows.map(row => {
-      const erroriConsegnaValue = String(row.get('errori_consegna') || '').trim();
-      const noteValue = String(row.get('note') || '').trim();
-      const itemNoConvValue = String(row.get('item_noconv') || '').trim();
-      const storicoValue = String(row.get('storico_modifiche') || '').trim();
-      
-      const has_errors = (
-        erroriConsegnaValue !== '' || 
-        noteValue !== '' || 
-        itemNoConvValue !== ''
-      );
-      
-      const has_history = storicoValue !== '';
-      
-      let history_count = 0;
-      if (has_history) {
-        try {
-          const storicoArray = JSON.parse(storicoValue);
-          history_count = Array.isArray(storicoArray) ? storicoArray.length : 0;
-        } catch {
-          history_count = 0;
-        }
-      }
-
-      return {
-        id: row.get('id'),
-        numero: row.get('numero'),
-        fornitore: row.get('fornitore'),
-        data_emissione: row.get('data_emissione'),
-        data_consegna: row.get('data_consegna'),
-        stato: row.get('stato'),
-        punto_vendita: row.get('punto_vendita'),
-        confermato_da: row.get('confermato_da'),
-        pdf_link: row.get('pdf_link'),
-        importo_totale: row.get('importo_totale'),
-        note: row.get('note') || '',
-        txt: row.get('txt') || '',
-        codice_fornitore: row.get('codice_fornitore') || '',
-        testo_ddt: row.get('testo_ddt') || '',
-        item_noconv: row.get('item_noconv') || '',
-        storico_modifiche: row.get('storico_modifiche') || '',
-        errori_consegna: row.get('errori_consegna') || '',
-        has_errors,
-        has_history,
-        history_count
-      };
-    });
+    const records = await storage.invoices.list();
+    let data = records.map(mapInvoiceRecord);
 
-    if (puntoVendita) data = data.filter(r => r.punto_vendita === puntoVendita);
+    if (stores) data = data.filter(r => stores.includes(r.punto_vendita));
     return data;
   } catch (error) {
     console.error('❌ Errore loadSheetData:', error);
@@ -730,25 +1536,24 @@ const loadSheetData = async (puntoVendita) => {
 const loadAllMovimentazioniData = async () => {
   try {
     console.log('📦 Admin: Caricamento movimentazioni globali');
-    const sheet = await getGoogleSheet('Movimentazioni');
-    const rows = await sheet.getRows();
-
-    const data = rows.map(row => ({
-      id: row.get('id'),
-      data_movimento: row.get('data_movimento'),
-      timestamp: row.get('timestamp'),
-      origine: row.get('origine'),
-      codice_origine: row.get('codice_origine') || '',
-      prodotto: row.get('prodotto'),
-      quantita: row.get('quantita'),
-      unita_misura: row.get('unita_misura'),
-      destinazione: row.get('destinazione'),
-      codice_destinazione: row.get('codice_destinazione') || '',
-      stato: row.get('stato') || 'registrato',
-      txt_content: row.get('txt_content') || '',
-      txt_filename: row.get('txt_filename') || '',
-      creato_da: row.get('creato_da') || '',
-      ddt_number: row.get('ddt_number') || ''
+    const records = await storage.movimentazioni.list();
+
+    const data = records.map(r => ({
+      id: r.id,
+      data_movimento: r.data_movimento,
+      timestamp: r.timestamp,
+      origine: r.origine,
+      codice_origine: r.codice_origine || '',
+      prodotto: r.prodotto,
+      quantita: r.quantita,
+      unita_misura: r.unita_misura,
+      destinazione: r.destinazione,
+      codice_destinazione: r.codice_destinazione || '',
+      stato: r.stato || 'registrato',
+      txt_content: r.txt_content || '',
+      txt_filename: r.txt_filename || '',
+      creato_da: r.creato_da || '',
+      ddt_number: r.ddt_number || ''
     }));
 
     data.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -759,48 +1564,30 @@ const loadAllMovimentazioniData = async () => {
   }
 };
 
-const loadMovimentazioniFromSheet = async (puntoVendita) => {
+const loadMovimentazioniFromSheet = async (stores) => {
   try {
-    console.log('📦 Caricamento movimentazioni per:', puntoVendita);
-
-    let sheet;
-    try {
-      sheet = await getGoogleSheet('Movimentazioni');
-    } catch (sheetError) {
-      console.error('❌ Errore accesso foglio Movimentazioni:', sheetError.message);
-      const doc = await getGoogleDoc();
-      sheet = await doc.addSheet({
-        title: 'Movimentazioni',
-        headerValues: [
-          'id', 'data_movimento', 'timestamp', 'origine', 'codice_origine',
-          'prodotto', 'quantita', 'unita_misura', 'destinazione', 'codice_destinazione',
-          'stato', 'txt_content', 'txt_filename', 'creato_da', 'ddt_number'
-        ]
-      });
-    }
-
-    const rows = await sheet.getRows();
-    let data = rows.map(row => ({
-      id: row.get('id') || 'N/A',
-      data_movimento: row.get('data_movimento') || 'N/A',
-      timestamp: row.get('timestamp') || 'N/A',
-      origine: row.get('origine') || 'N/A',
-      codice_origine: row.get('codice_origine') || '',
-      prodotto: row.get('prodotto') || 'N/A',
-      quantita: row.get('quantita') || '0',
-      unita_misura: row.get('unita_misura') || '',
-      destinazione: row.get('destinazione') || 'N/A',
-      codice_destinazione: row.get('codice_destinazione') || '',
-      stato: row.get('stato') || 'registrato',
-      txt_content: row.get('txt_content') || '',
-      txt_filename: row.get('txt_filename') || '',
-      creato_da: row.get('creato_da') || '',
-      ddt_number: row.get('ddt_number') || ''
+    console.log('📦 Caricamento movimentazioni per:', stores ? stores.join(', ') : 'tutti i punti vendita');
+
+    const records = await storage.movimentazioni.list();
+    let data = records.map(r => ({
+      id: r.id || 'N/A',
+      data_movimento: r.data_movimento || 'N/A',
+      timestamp: r.timestamp || 'N/A',
+      origine: r.origine || 'N/A',
+      codice_origine: r.codice_origine || '',
+      prodotto: r.prodotto || 'N/A',
+      quantita: r.quantita || '0',
+      unita_misura: r.unita_misura || '',
+      destinazione: r.destinazione || 'N/A',
+      codice_destinazione: r.codice_destinazione || '',
+      stato: r.stato || 'registrato',
+      txt_content: r.txt_content || '',
+      txt_filename: r.txt_filename || '',
+      creato_da: r.creato_da || '',
+      ddt_number: r.ddt_number || ''
     }));
 
-    if (puntoVendita && puntoVendita !== 'ADMIN_GLOBAL') {
-      data = data.filter(item => item.origine === puntoVendita);
-    }
+    if (stores) data = data.filter(item => stores.includes(item.origine));
 
     data.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     return data;
@@ -812,35 +1599,28 @@ const loadMovimentazioniFromSheet = async (puntoVendita) => {
 
 const loadProdottiFromSheet = async () => {
   try {
-    console.log('📦 Caricando prodotti da database Google Sheets...');
-    const PRODOTTI_SHEET_ID = '1CJhd14F8qV8nS0-SK2ENSNSkWaE21KotK2ArBjJETfk';
-
-    const prodottiDoc = new GoogleSpreadsheet(PRODOTTI_SHEET_ID, serviceAccountAuth);
-    await prodottiDoc.loadInfo();
+    console.log('📦 Caricando prodotti da storage:', storage.backend);
 
-    const sheet = prodottiDoc.sheetsByTitle?.['PRODOTTI'] || prodottiDoc.sheetsByIndex[0];
-    if (!sheet) throw new Error('Tab prodotti non trovato');
-
-    const rows = await sheet.getRows();
+    const rows = await storage.prodotti.list();
     console.log('📊 Righe prodotti caricate:', rows.length);
 
     const norm = (v) => (v ?? '').toString().trim();
     const prodotti = rows.map(r => {
-      const nome   = norm(r.get('Nome') || r.get('DESCRIZIONE') || r.get('Descrizione') || r.get('nome'));
-      const codice = norm(r.get('Cod.mago') || r.get('CODICE') || r.get('Codice') || r.get('SKU') || r.get('codice'));
-      const uom    = norm(r.get('UMB') || r.get('UM') || r.get('UOM') || r.get('unita_misura'));
-      const onoff  = norm(r.get('On.Off') ?? r.get('On') ?? r.get('Attivo') ?? r.get('active'));
+      const nome   = norm(r['Nome'] || r['DESCRIZIONE'] || r['Descrizione'] || r['nome']);
+      const codice = norm(r['Cod.mago'] || r['CODICE'] || r['Codice'] || r['SKU'] || r['codice']);
+      const uom    = norm(r['UMB'] || r['UM'] || r['UOM'] || r['unita_misura']);
+      const onoff  = norm(r['On.Off'] ?? r['On'] ?? r['Attivo'] ?? r['active']);
 
-      const brand      = norm(r.get('Marca') || r.get('Brand') || r.get('brand'));
-      const pack       = norm(r.get('Confezione') || r.get('Pack') || r.get('Formato'));
-      const materiale  = norm(r.get('Materiale') || r.get('Imballo') || r.get('Package'));
+      const brand      = norm(r['Marca'] || r['Brand'] || r['brand']);
+      const pack       = norm(r['Confezione'] || r['Pack'] || r['Formato']);
+      const materiale  = norm(r['Materiale'] || r['Imballo'] || r['Package']);
 
       return { nome, codice, unitaMisura: uom, onOff: onoff, brand, pack, materiale };
     });
 
     return prodotti.filter(p => p.nome);
   } catch (error) {
-    console.error('❌ Errore caricamento prodotti da Google Sheets:', error);
+    console.error('❌ Errore caricamento prodotti:', error);
     try {
       const prodottiData = require('../frontend/src/data/prodotti.json');
       return Array.isArray(prodottiData) ? prodottiData : [];
@@ -851,78 +1631,359 @@ const loadProdottiFromSheet = async () => {
 };
 
 // ==========================================
-// ✅ UPDATE RIGA FATTURA CON TRACKING MODIFICHE
+// CONCORRENZA OTTIMISTICA (ETag / If-Match)
 // ==========================================
-const updateSheetRow = async (id, updates, modificatoDa = 'system') => {
-  try {
-    console.log('🔄 updateSheetRow chiamata con:', { id, updates, modificatoDa });
+const INVOICE_VERSION_FIELDS = [
+  'id', 'numero', 'fornitore', 'data_emissione', 'data_consegna', 'stato',
+  'punto_vendita', 'confermato_da', 'pdf_link', 'importo_totale', 'note', 'txt',
+  'codice_fornitore', 'testo_ddt', 'item_noconv', 'storico_modifiche', 'errori_consegna',
+  'consegne_parziali', 'duplicato_di'
+];
+const MAX_REMEMBERED_VERSIONS = 2000;
 
-    const sheet = await getGoogleSheet();
-    const rows = await sheet.getRows();
+// Snapshot delle versioni già consegnate ai client, per descrivere i conflitti
+const invoiceVersions = new Map();
+const invoiceLocks = new Map();
 
-    const row = rows.find(r => r.get('id') === id.toString());
-    if (!row) {
+const invoiceVersionSnapshot = (record) => {
+  const snapshot = {};
+  INVOICE_VERSION_FIELDS.forEach(campo => { snapshot[campo] = String(record[campo] ?? ''); });
+  return snapshot;
+};
+
+const computeInvoiceEtag = (record) => {
+  const snapshot = invoiceVersionSnapshot(record);
+  const hash = crypto.createHash('sha1').update(JSON.stringify(snapshot)).digest('hex').slice(0, 20);
+  const etag = `"${hash}"`;
+
+  if (!invoiceVersions.has(etag)) {
+    invoiceVersions.set(etag, snapshot);
+    if (invoiceVersions.size > MAX_REMEMBERED_VERSIONS) {
+      invoiceVersions.delete(invoiceVersions.keys().next().value);
+    }
+  }
+  return etag;
+};
+
+const normalizeEtag = (value) => String(value || '').trim().replace(/^W\//, '');
+
+/**
+ * Verifica If-Match rispetto alla versione corrente della fattura.
+ * Restituisce null se la scrittura può procedere, altrimenti i dettagli del conflitto.
+ * Senza If-Match la verifica è facoltativa: PUT /api/invoices/:id lo richiede (428),
+ * le azioni di stato (conferma, segnalazione errori, consegne) lo controllano solo se presente.
+ */
+const checkInvoiceVersion = (record, ifMatch, campiRichiesti = []) => {
+  if (!ifMatch) return null;
+
+  const etagCorrente = computeInvoiceEtag(record);
+  const candidates = String(ifMatch).split(',').map(normalizeEtag).filter(Boolean);
+  if (candidates.includes('*') || candidates.includes(etagCorrente)) return null;
+
+  const attuale = invoiceVersionSnapshot(record);
+  const letta = candidates.map(c => invoiceVersions.get(c)).find(Boolean);
+
+  const campi_in_conflitto = letta
+    ? INVOICE_VERSION_FIELDS
+      .filter(campo => letta[campo] !== attuale[campo])
+      .map(campo => ({
+        campo,
+        valore_letto: letta[campo],
+        valore_attuale: attuale[campo],
+        richiesto_in_modifica: campiRichiesti.includes(campo)
+      }))
+    : null;
+
+  return { etag_corrente: etagCorrente, campi_in_conflitto };
+};
+
+const createVersionConflictError = (conflict) => {
+  const error = new Error('La fattura è stata modificata da un altro utente');
+  error.code = 'VERSION_CONFLICT';
+  error.conflict = conflict;
+  return error;
+};
+
+const sendVersionConflict = (res, error) => {
+  const { etag_corrente, campi_in_conflitto } = error.conflict;
+  console.warn('⚠️ Conflitto di versione:', campi_in_conflitto ? campi_in_conflitto.map(c => c.campo) : 'versione sconosciuta');
+  res.set('ETag', etag_corrente);
+  return res.status(409).json({
+    error: error.message,
+    etag_corrente,
+    campi_in_conflitto: campi_in_conflitto || [],
+    dettaglio: campi_in_conflitto
+      ? `Campi modificati nel frattempo: ${campi_in_conflitto.map(c => c.campo).join(', ') || 'nessuno'}`
+      : 'Versione letta non più disponibile: ricarica la fattura prima di salvare'
+  });
+};
+
+// Serializza le scritture sulla stessa fattura all'interno del processo
+const withInvoiceLock = async (id, task) => {
+  const key = String(id);
+  const previous = invoiceLocks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  const tail = run.catch(() => {});
+  invoiceLocks.set(key, tail);
+  try {
+    return await run;
+  } finally {
+    if (invoiceLocks.get(key) === tail) invoiceLocks.delete(key);
+  }
+};
+
+// Lock su più fatture, acquisiti sempre in ordine di id per evitare stalli tra richieste concorrenti
+const withInvoiceLocks = (ids, task) => [...new Set(ids.map(String))]
+  .sort()
+  .reduceRight((next, id) => () => withInvoiceLock(id, next), task)();
+
+// ==========================================
+// CICLO DI VITA FATTURA (macchina a stati)
+// ==========================================
+// pending → consegnato / contestato → risolto → archiviato
+// (ritorno a pending solo con POST /api/invoices/:id/revert)
+// Per ogni transizione: null = qualsiasi utente con accesso al punto vendita,
+// altrimenti il permesso richiesto.
+const INVOICE_TRANSITIONS = {
+  pending: { consegnato: null, contestato: null },
+  consegnato: { contestato: null, archiviato: 'edit_all', pending: 'edit_all' },
+  contestato: { risolto: 'edit_all', pending: 'edit_all' },
+  risolto: { contestato: 'edit_all', archiviato: 'edit_all' },
+  archiviato: {}
+};
+const INVOICE_STATES = Object.keys(INVOICE_TRANSITIONS);
+// Stati successivi alla consegna: le modifiche vengono tracciate nello storico
+const DELIVERED_STATES = ['consegnato', 'contestato', 'risolto'];
+
+const createInvoiceStateError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+};
+
+// Verifica la transizione verso `to`: false se lo stato non cambia, errore se non ammessa.
+// actor assente = operazione di sistema (nessun controllo sui permessi)
+const assertInvoiceTransition = (record, to, actor) => {
+  const from = record.stato || 'pending';
+  if (from === to) return false;
+
+  if (!INVOICE_TRANSITIONS[from] || !(to in INVOICE_TRANSITIONS[from])) {
+    throw createInvoiceStateError('INVALID_TRANSITION', `Transizione non consentita: ${from} → ${to}`, { from, to });
+  }
+  const required = INVOICE_TRANSITIONS[from][to];
+  if (required && actor && !hasPermission(actor, required)) {
+    throw createInvoiceStateError('TRANSITION_FORBIDDEN', `Permesso insufficiente per la transizione ${from} → ${to}`, { from, to, required });
+  }
+  return true;
+};
+
+const allowedInvoiceTransitions = (record, actor) =>
+  Object.entries(INVOICE_TRANSITIONS[record.stato || 'pending'] || {})
+    .filter(([, required]) => !required || hasPermission(actor, required))
+    .map(([to]) => to);
+
+const INVOICE_STATE_ERROR_STATUS = {
+  INVALID_TRANSITION: 409,
+  INVOICE_ARCHIVED: 409,
+  TRANSITION_FORBIDDEN: 403,
+  ALREADY_DELIVERED: 409,
+  PARTIAL_DELIVERY: 409,
+  BACKORDER_OPEN: 409,
+  BACKORDER_CLOSED: 409
+};
+
+const sendInvoiceStateError = (res, error) => res.status(INVOICE_STATE_ERROR_STATUS[error.code]).json({
+  error: error.message,
+  code: error.code,
+  ...(error.from ? { stato_attuale: error.from, stato_richiesto: error.to } : {})
+});
+
+// ==========================================
+// STORICO MODIFICHE E VERSIONI
+// ==========================================
+// Ogni scrittura su una fattura aggiunge allo storico una voce per campo modificato,
+// con valore precedente e nuovo completi, in qualunque stato. Le voci della stessa
+// scrittura condividono il numero di `versione`: la versione N si ricostruisce dal
+// record attuale annullando, dalla più recente, le voci con versione > N.
+// La versione 0 è la fattura com'era prima della prima modifica versionata; le voci
+// precedenti a questo formato (senza versione) restano solo consultabili.
+const CAMPI_STORICO = INVOICE_VERSION_FIELDS.filter(campo => !['id', 'storico_modifiche'].includes(campo));
+
+const valoreCampo = (record, campo) =>
+  campo === 'stato' ? String(record?.stato || 'pending') : String(record?.[campo] ?? '');
+
+const ultimaVersione = (storico) => storico.reduce((max, voce) => Math.max(max, Number(voce.versione) || 0), 0);
+
+// Aggiunge una versione con i campi di `updates` che cambiano rispetto a `record`;
+// restituisce lo storico invariato se non cambia nulla. Il cambio di stato è una voce
+// di tipo "transizione" con il motivo; le altre voci ricevono `extra`.
+const registraVersione = (storicoAttuale, record, updates, modificatoDa, { motivo = '', ...extra } = {}) => {
+  const campi = CAMPI_STORICO.filter(campo => campo in updates && valoreCampo(record, campo) !== valoreCampo(updates, campo));
+  if (campi.length === 0) return storicoAttuale || '';
+
+  const storico = parseStoricoModifiche(storicoAttuale);
+  const versione = ultimaVersione(storico) + 1;
+  const timestamp = new Date().toISOString();
+  campi.forEach(campo => storico.push({
+    timestamp,
+    versione,
+    campo,
+    valore_precedente: valoreCampo(record, campo),
+    valore_nuovo: valoreCampo(updates, campo),
+    modificato_da: modificatoDa,
+    data_modifica: new Date().toLocaleDateString('it-IT'),
+    ...(campo === 'stato' ? { tipo: 'transizione', motivo } : { ...extra, ...(motivo ? { motivo } : {}) })
+  }));
+  return JSON.stringify(storico);
+};
+
+// Versione con una sola voce su un campo non tracciato (es. `duplicati` della fattura
+// principale): compare nell'elenco delle versioni ma non cambia i valori ricostruiti
+const registraVoceVersione = (storicoAttuale, campo, valorePrecedente, valoreNuovo, modificatoDa, extra = {}) =>
+  aggiungiModificaAlloStorico(storicoAttuale, campo, valorePrecedente, valoreNuovo, modificatoDa, {
+    versione: ultimaVersione(parseStoricoModifiche(storicoAttuale)) + 1,
+    ...extra
+  });
+
+// Campi tracciati della fattura alla versione indicata
+const ricostruisciVersione = (record, versione) => {
+  const campi = Object.fromEntries(CAMPI_STORICO.map(campo => [campo, valoreCampo(record, campo)]));
+  parseStoricoModifiche(record.storico_modifiche)
+    .filter(voce => Number(voce.versione) > versione && CAMPI_STORICO.includes(voce.campo))
+    .sort((a, b) => b.versione - a.versione)
+    .forEach(voce => { campi[voce.campo] = String(voce.valore_precedente ?? ''); });
+  return campi;
+};
+
+// Elenco delle versioni (più recenti prima) con i campi modificati da ciascuna
+const elencoVersioni = (storico) => {
+  const versioni = new Map();
+  storico.filter(voce => Number(voce.versione) > 0).forEach(voce => {
+    const versione = versioni.get(voce.versione) || {
+      versione: voce.versione,
+      timestamp: voce.timestamp,
+      modificato_da: voce.modificato_da,
+      tipo: null,
+      motivo: '',
+      campi: []
+    };
+    versione.campi.push(voce.campo);
+    if (voce.tipo && voce.tipo !== 'transizione') versione.tipo = voce.tipo;
+    if (voce.motivo) versione.motivo = voce.motivo;
+    versioni.set(voce.versione, versione);
+  });
+  return [...versioni.values()].sort((a, b) => b.versione - a.versione);
+};
+
+const diffVersioni = (da, a) => CAMPI_STORICO
+  .filter(campo => da[campo] !== a[campo])
+  .map(campo => ({ campo, valore_da: da[campo], valore_a: a[campo] }));
+
+// ==========================================
+// CONSEGNE PARZIALI E BACKORDER
+// ==========================================
+// consegne_parziali (JSON): righe del DDT con quantità ordinata e ricevuta, più
+// l'elenco delle consegne registrate. Ogni consegna genera il proprio file TXT
+// con le sole righe ricevute; le quantità residue restano in backorder.
+const arrotondaQuantita = (value) => Math.round(value * 1000) / 1000;
+
+const parseConsegneParziali = (value) => {
+  if (!value || String(value).trim() === '') return null;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && Array.isArray(parsed.righe) ? parsed : null;
+  } catch {
+    console.warn('⚠️ consegne_parziali non leggibile');
+    return null;
+  }
+};
+
+const righeInBackorder = (consegneParziali) => (consegneParziali?.righe || [])
+  .filter(r => r.quantita_ricevuta < r.quantita_ordinata)
+  .map(r => ({ ...r, quantita_residua: arrotondaQuantita(r.quantita_ordinata - r.quantita_ricevuta) }));
+
+const hasBackorderAperto = (record) => righeInBackorder(parseConsegneParziali(record.consegne_parziali)).length > 0;
+
+// Le righe del TXT seguono una per una le righe non vuote del DDT (vedi generateInvoiceFromMovimentazione);
+// se il numero di righe non coincide la corrispondenza non è affidabile e si restituisce null
+const selezionaRigheTxt = (record, numeriRiga) => {
+  const righeTxt = String(record.txt || '').split('\n').filter(r => r.trim() !== '');
+  const righeDDT = String(record.testo_ddt || '').split('\n').filter(r => r.trim() !== '');
+  if (righeTxt.length === 0 || righeTxt.length !== righeDDT.length) return null;
+  return numeriRiga.map(n => righeTxt[n - 1]).join('\n');
+};
+
+// ==========================================
+// ✅ UPDATE RIGA FATTURA CON TRACKING MODIFICHE
+// ==========================================
+// updates.stato passa sempre dalla macchina a stati; actor = utente del token (per le regole per ruolo)
+const updateSheetRow = (id, updates, modificatoDa = 'system', { ifMatch, actor, motivo } = {}) => withInvoiceLock(id, async () => {
+  try {
+    console.log('🔄 updateSheetRow chiamata con:', { id, updates, modificatoDa });
+
+    const record = await storage.invoices.findById(id);
+    if (!record) {
       console.error('❌ Riga non trovata per ID:', id);
       throw new Error('Fattura non trovata');
     }
 
-    const valoriPrecedenti = {
-      data_consegna: row.get('data_consegna') || '',
-      confermato_da: row.get('confermato_da') || '',
-      note: row.get('note') || '',
-      stato: row.get('stato') || '',
-      errori_consegna: row.get('errori_consegna') || ''
-    };
+    const conflict = checkInvoiceVersion(record, ifMatch, Object.keys(updates));
+    if (conflict) throw createVersionConflictError(conflict);
 
-    const storicoAttuale = row.get('storico_modifiche') || '';
-    let nuovoStorico = storicoAttuale;
-    let isModification = false;
+    if (record.stato === 'archiviato' && Object.keys(updates).some(campo => campo !== 'stato')) {
+      throw createInvoiceStateError('INVOICE_ARCHIVED', 'Fattura archiviata: non è più modificabile');
+    }
+    const consegneParziali = parseConsegneParziali(record.consegne_parziali);
+    if (consegneParziali && updates.stato === 'consegnato') {
+      throw createInvoiceStateError('PARTIAL_DELIVERY', 'Fattura con consegne parziali: conferma le righe residue con /confirm-partial');
+    }
+    if (updates.stato === 'archiviato' && righeInBackorder(consegneParziali).length > 0) {
+      throw createInvoiceStateError('BACKORDER_OPEN', 'Backorder ancora aperto: la fattura non può essere archiviata');
+    }
+    const isTransition = updates.stato !== undefined && assertInvoiceTransition(record, updates.stato, actor);
 
-    const statoCorrente = row.get('stato');
-    if (statoCorrente === 'consegnato') {
-      Object.keys(updates).forEach(campo => {
-        const valorePrecedente = valoriPrecedenti[campo];
-        const valoreNuovo = updates[campo];
-        
-        if (valorePrecedente !== valoreNuovo) {
-          console.log(`🔄 MODIFICA RILEVATA su campo "${campo}": "${valorePrecedente}" → "${valoreNuovo}"`);
-          nuovoStorico = aggiungiModificaAlloStorico(
-            nuovoStorico,
-            campo,
-            valorePrecedente,
-            valoreNuovo,
-            modificatoDa
-          );
-          isModification = true;
-        }
-      });
+    const statoCorrente = record.stato;
+    if (isTransition) {
+      console.log(`🔀 Transizione fattura ${id}: ${statoCorrente || 'pending'} → ${updates.stato}`);
     }
+    const campiModificati = Object.keys(updates)
+      .filter(campo => campo !== 'stato' && valoreCampo(record, campo) !== valoreCampo(updates, campo));
+    campiModificati.forEach(campo => {
+      console.log(`🔄 MODIFICA RILEVATA su campo "${campo}": "${valoreCampo(record, campo)}" → "${valoreCampo(updates, campo)}"`);
+    });
+    // Dopo la consegna una modifica rigenera il TXT
+    const isModification = DELIVERED_STATES.includes(statoCorrente) && campiModificati.length > 0;
 
     const invoiceDataForTxt = {
-      id: row.get('id'),
-      numero: row.get('numero'),
-      fornitore: row.get('fornitore'),
-      data_emissione: row.get('data_emissione'),
-      data_consegna: updates.data_consegna || row.get('data_consegna'),
-      punto_vendita: row.get('punto_vendita'),
-      confermato_da: updates.confermato_da || row.get('confermato_da'),
-      txt: row.get('txt') || '',
-      codice_fornitore: row.get('codice_fornitore') || '',
-      note: (updates.note ?? row.get('note') ?? ''),
-      item_noconv: row.get('item_noconv') || '',
-      errori_consegna: updates.errori_consegna || row.get('errori_consegna') || ''
+      id: record.id,
+      numero: record.numero,
+      fornitore: record.fornitore,
+      data_emissione: record.data_emissione,
+      data_consegna: updates.data_consegna || record.data_consegna,
+      punto_vendita: record.punto_vendita,
+      confermato_da: updates.confermato_da || record.confermato_da,
+      txt: record.txt || '',
+      codice_fornitore: record.codice_fornitore || '',
+      note: (updates.note ?? record.note ?? ''),
+      item_noconv: record.item_noconv || '',
+      errori_consegna: updates.errori_consegna || record.errori_consegna || ''
     };
 
-    Object.keys(updates).forEach(key => row.set(key, updates[key]));
-    
-    if (isModification) {
-      row.set('storico_modifiche', nuovoStorico);
-      console.log('💾 Storico modifiche aggiornato in Google Sheets');
+    const rowUpdates = { ...updates };
+    const nuovoStorico = registraVersione(record.storico_modifiche, record, updates, modificatoDa, { motivo });
+    if (nuovoStorico !== (record.storico_modifiche || '')) {
+      rowUpdates.storico_modifiche = nuovoStorico;
+      console.log('💾 Storico modifiche aggiornato');
     }
-    
-    await row.save();
+  
+    // Se Google Sheets non è raggiungibile la scrittura resta in coda (_pending_write)
+    const updated = { ...record, ...(await storage.invoices.update(id, rowUpdates)) };
 
-    if (updates.stato === 'consegnato' || (statoCorrente === 'consegnato' && isModification)) {
+    // Con consegne parziali i TXT restano quelli delle singole consegne
+    if (consegneParziali && isModification) {
+      console.log('ℹ️ Fattura con consegne parziali: TXT non rigenerato');
+    } else if (updates.stato === 'consegnato' || (DELIVERED_STATES.includes(statoCorrente) && isModification)) {
       try {
         const txtResult = await generateTxtFile(invoiceDataForTxt, isModification);
         if (txtResult) {
@@ -941,24 +2002,23 @@ const updateSheetRow = async (id, updates, modificatoDa = 'system') => {
       }
     }
 
-    return true;
+    return updated;
   } catch (error) {
     console.error('❌ Errore updateSheetRow:', error);
     throw error;
   }
-};
+});
 
 const generateInvoiceFromMovimentazione = async (ddtData) => {
   try {
     console.log('📄 Generando fattura automatica da DDT:', ddtData.ddt_number);
 
-    const sheet = await getGoogleSheet();
-    const rows = await sheet.getRows();
+    const records = await storage.invoices.list();
 
-    const existingInvoice = rows.find(row => row.get('numero') === ddtData.ddt_number);
+    const existingInvoice = records.find(r => r.numero === ddtData.ddt_number);
     if (existingInvoice) {
       console.log('ℹ️ Fattura già esistente per DDT:', ddtData.ddt_number);
-      return { success: true, numeroFattura: ddtData.ddt_number, fatturaId: existingInvoice.get('id'), alreadyExists: true };
+      return { success: true, numeroFattura: ddtData.ddt_number, fatturaId: existingInvoice.id, alreadyExists: true };
     }
 
     const timestamp = Date.now();
@@ -995,7 +2055,7 @@ const generateInvoiceFromMovimentazione = async (ddtData) => {
       errori_consegna: ''
     };
 
-    await sheet.addRow(fatturaData);
+    await storage.invoices.create(fatturaData);
     console.log('✅ Fattura automatica creata:', ddtData.ddt_number);
 
     return { success: true, numeroFattura: ddtData.ddt_number, fatturaId: uniqueId };
@@ -1015,23 +2075,37 @@ app.post('/api/auth/login', loginLimiter, async (req, res) => {
       return res.status(400).json({ error: 'Email non valida - deve contenere @fradiavolopizzeria.com' });
     }
 
-    const user = users.find(u => u.email === email);
-    if (!user) return res.status(401).json({ error: 'Credenziali non valide' });
-
-    const isValidPassword = password === user.password;
-    if (!isValidPassword) return res.status(401).json({ error: 'Credenziali non valide' });
+    const user = await userStore.findByEmail(email);
+    const isValidPassword = user ? await userStore.verifyPassword(user, password) : false;
+    if (!isValidPassword) {
+      await audit(req, 'auth.login_failed', {
+        actor: null,
+        target: { type: 'user', id: user?.id ?? null },
+        store: user?.puntoVendita || null,
+        details: { email: sanitizeEmailSafe(email), motivo: user ? 'password_errata' : 'utente_sconosciuto' }
+      });
+      return res.status(401).json({ error: 'Credenziali non valide' });
+    }
 
     if (!process.env.JWT_SECRET) {
       return res.status(500).json({ error: 'Configurazione server non valida' });
     }
 
-    const tokenPayload = { userId: user.id, email: user.email, puntoVendita: user.puntoVendita, role: user.role };
-    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: '8h' });
+    const { session, refreshToken } = await sessionStore.create({
+      userId: user.id,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    await audit(req, 'auth.login', {
+      actor: user,
+      target: { type: 'session', id: session.id },
+      store: user.puntoVendita
+    });
 
     res.json({
       success: true,
-      token,
-      user: { id: user.id, name: user.name, email: user.email, puntoVendita: user.puntoVendita, role: user.role }
+      ...buildTokenResponse(user, session, refreshToken),
+      user: { id: user.id, name: user.name, email: user.email, puntoVendita: user.puntoVendita, role: user.role, permissions: resolvePermissions(user), stores: resolveStores(user) }
     });
   } catch (error) {
     console.error('❌ Errore durante login:', error);
@@ -1039,15 +2113,15 @@ app.post('/api/auth/login', loginLimiter, async (req, res) => {
   }
 });
 
-app.get('/api/auth/verify', authenticateToken, (req, res) => {
+app.get('/api/auth/verify', authenticateToken, async (req, res) => {
   console.log('🔄 GET /api/auth/verify ricevuta');
   try {
-    const user = users.find(u => u.id === req.user.userId);
+    const user = await userStore.findById(req.user.userId);
     if (!user) return res.status(401).json({ error: 'Utente non trovato' });
 
     res.json({
       success: true,
-      user: { id: user.id, name: user.name, email: user.email, puntoVendita: user.puntoVendita, role: user.role }
+      user: { id: user.id, name: user.name, email: user.email, puntoVendita: user.puntoVendita, role: user.role, permissions: resolvePermissions(user), stores: resolveStores(user) }
     });
   } catch (error) {
     console.error('❌ Errore verifica token:', error);
@@ -1055,18 +2129,107 @@ app.get('/api/auth/verify', authenticateToken, (req, res) => {
   }
 });
 
-app.post('/api/auth/logout', authenticateToken, (req, res) => {
+app.post('/api/auth/refresh', async (req, res) => {
+  console.log('🔄 POST /api/auth/refresh ricevuta');
+  try {
+    const { refresh_token } = req.body ?? {};
+    if (!refresh_token || typeof refresh_token !== 'string') {
+      return res.status(400).json({ error: 'Refresh token richiesto' });
+    }
+
+    const result = await sessionStore.rotate(refresh_token);
+    if (result.error) {
+      if (result.error === 'reused') {
+        console.warn('⚠️ Refresh token riutilizzato, sessione revocata:', result.session.id);
+        await audit(req, 'auth.refresh_reused', {
+          actor: { id: result.session.userId },
+          target: { type: 'session', id: result.session.id }
+        });
+      }
+      return res.status(401).json({ error: 'Sessione non valida o scaduta', code: 'REFRESH_INVALID' });
+    }
+
+    const user = await userStore.findById(result.session.userId);
+    if (!user) {
+      await sessionStore.revoke(result.session.id, 'utente_eliminato');
+      return res.status(401).json({ error: 'Utente non trovato', code: 'REFRESH_INVALID' });
+    }
+
+    res.json({ success: true, ...buildTokenResponse(user, result.session, result.refreshToken) });
+  } catch (error) {
+    console.error('❌ Errore refresh token:', error);
+    res.status(500).json({ error: 'Errore interno del server' });
+  }
+});
+
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
   console.log('🔄 POST /api/auth/logout ricevuta');
-  res.json({ success: true, message: 'Logout effettuato' });
+  try {
+    const { refresh_token } = req.body ?? {};
+    if (req.user.sid) await sessionStore.revoke(req.user.sid, 'logout');
+    if (typeof refresh_token === 'string' && refresh_token) {
+      await sessionStore.revokeByRefreshToken(refresh_token, 'logout');
+    }
+    await audit(req, 'auth.logout', { target: { type: 'session', id: req.user.sid || null }, store: req.user.puntoVendita });
+    res.json({ success: true, message: 'Logout effettuato' });
+  } catch (error) {
+    console.error('❌ Errore logout:', error);
+    res.status(500).json({ error: 'Errore interno del server' });
+  }
+});
+
+app.put('/api/auth/password', authenticateToken, async (req, res) => {
+  console.log('🔄 PUT /api/auth/password ricevuta da:', req.user.email);
+  try {
+    const { current_password, new_password } = req.body ?? {};
+    if (!current_password || !new_password) {
+      return res.status(400).json({ error: 'Password attuale e nuova password richieste' });
+    }
+    if (!validatePassword(new_password)) {
+      return res.status(400).json({ error: `La nuova password deve contenere almeno ${MIN_PASSWORD_LENGTH} caratteri` });
+    }
+
+    const user = await userStore.findById(req.user.userId);
+    if (!user) return res.status(401).json({ error: 'Utente non trovato' });
+
+    if (!(await userStore.verifyPassword(user, current_password))) {
+      return res.status(401).json({ error: 'Password attuale non corretta' });
+    }
+
+    await userStore.update(user.id, { password: new_password });
+    // Le altre sessioni aperte con la vecchia password vengono chiuse
+    const revoked = await sessionStore.revokeAllForUser(user.id, 'cambio_password', { exceptSessionId: req.user.sid || null });
+    await audit(req, 'auth.password_change', { target: { type: 'user', id: user.id }, details: { sessioni_revocate: revoked } });
+    res.json({ success: true, message: 'Password aggiornata', sessioni_revocate: revoked });
+  } catch (error) {
+    console.error('❌ Errore cambio password:', error);
+    res.status(500).json({ error: 'Impossibile aggiornare la password' });
+  }
 });
 
-app.get('/api/invoices', authenticateToken, async (req, res) => {
+app.get('/api/stores', authenticateToken, (req, res) => {
+  console.log('🔄 GET /api/stores ricevuta');
+  const stores = getUserStores(req.user);
+  res.json({
+    success: true,
+    all: stores === null,
+    stores: negozi
+      .filter(n => stores === null || stores.includes(n.nome))
+      .map(n => ({ nome: n.nome, codice: n.codice, regione: n.regione || null }))
+  });
+});
+
+app.get('/api/error-categories', authenticateToken, (req, res) => {
+  res.json({ success: true, categorie: ERROR_CATEGORIES });
+});
+
+app.get('/api/invoices', allowApiKey('invoices:read'), authenticateToken, async (req, res) => {
   console.log('🔄 GET /api/invoices ricevuta');
   try {
-    const puntoVendita = req.user.role === 'admin' ? null : req.user.puntoVendita;
-    const data = req.user.role === 'admin'
-      ? await loadAllSheetData()
-      : await loadSheetData(puntoVendita);
+    const { stores, error } = resolveStoreScope(req);
+    if (error) return res.status(403).json({ error });
+
+    const data = stores === null ? await loadAllSheetData() : await loadSheetData(stores);
     res.json({ success: true, data });
   } catch (error) {
     console.error('❌ Errore caricamento fatture:', error);
@@ -1074,70 +2237,225 @@ app.get('/api/invoices', authenticateToken, async (req, res) => {
   }
 });
 
+// ==========================================
+// POST /api/invoices - INSERIMENTO MANUALE DI UNA FATTURA/DDT CARTACEO
+// ==========================================
+const normalizzaNumeroFattura = (numero) => String(numero ?? '').trim().toLowerCase();
+// I numeri fattura sono univoci solo per fornitore
+const chiaveNumeroFornitore = (fornitore, numero) =>
+  `${String(fornitore ?? '').trim().toLowerCase()}|${normalizzaNumeroFattura(numero)}`;
+
+// body: { numero, fornitore, data_emissione, punto_vendita, righe_ddt (testo o array di righe),
+//         codice_fornitore?, importo_totale?, txt?, pdf_link? }
+app.post('/api/invoices', authenticateToken, async (req, res) => {
+  console.log('🔄 POST /api/invoices ricevuta');
+  try {
+    const body = req.body ?? {};
+    const numero = sanitizeDDT(body.numero);
+    const fornitore = sanitizeText(body.fornitore);
+    const puntoVendita = sanitizeText(body.punto_vendita || req.user.puntoVendita || '');
+
+    if (!numero) return res.status(400).json({ error: 'Numero documento richiesto' });
+    if (!fornitore) return res.status(400).json({ error: 'Fornitore richiesto' });
+    if (!body.data_emissione || !validateDate(body.data_emissione)) {
+      return res.status(400).json({ error: 'Data di emissione non valida' });
+    }
+    if (!STORE_NAMES.includes(puntoVendita)) {
+      return res.status(400).json({ error: 'Punto vendita non valido' });
+    }
+    if (!canAccessStore(req.user, puntoVendita)) {
+      return res.status(403).json({ error: 'Non autorizzato per questo punto vendita' });
+    }
+
+    let importoTotale = '0.00';
+    if (body.importo_totale !== undefined && body.importo_totale !== '') {
+      const importo = parseImporto(body.importo_totale);
+      if (importo === null || importo < 0) return res.status(400).json({ error: 'Importo totale non valido' });
+      importoTotale = importo.toFixed(2);
+    }
+
+    // Le righe devono essere in uno dei formati riconosciuti da parseRigaDDT
+    const righe = (Array.isArray(body.righe_ddt) ? body.righe_ddt : String(body.righe_ddt ?? '').split('\n'))
+      .map(r => String(r ?? '').replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, ' ').trim())
+      .filter(Boolean);
+    if (righe.length === 0) return res.status(400).json({ error: 'Inserisci almeno una riga del DDT' });
+
+    const righeNonValide = righe
+      .map((riga, index) => ({ riga_numero: index + 1, riga, valida: Boolean(parseRigaDDT(riga)) }))
+      .filter(r => !r.valida)
+      .map(({ valida, ...r }) => r);
+    if (righeNonValide.length > 0) {
+      return res.status(400).json({
+        error: `${righeNonValide.length} righe DDT in formato non riconosciuto`,
+        righe_non_valide: righeNonValide,
+        formati_ammessi: ['CODICE | NOME | UM | QTA [| NOTE]', 'CODICE_NOME - QTA UM']
+      });
+    }
+
+    // Lock su fornitore + numero: due inserimenti contemporanei dello stesso documento non passano entrambi
+    const numeroKey = chiaveNumeroFornitore(fornitore, numero);
+    const result = await withInvoiceLock(`numero:${numeroKey}`, async () => {
+      const existing = (await storage.invoices.list()).find(r => chiaveNumeroFornitore(r.fornitore, r.numero) === numeroKey);
+      if (existing) return { existing };
+
+      const record = {
+        id: `man_${Date.now()}_${numero.replace(/[^\w-]/g, '_')}`,
+        numero,
+        fornitore,
+        data_emissione: sanitizeDateSafe(body.data_emissione),
+        data_consegna: '',
+        stato: 'pending',
+        punto_vendita: puntoVendita,
+        confermato_da: '',
+        pdf_link: typeof body.pdf_link === 'string' && validator.isURL(body.pdf_link) ? body.pdf_link : '#',
+        importo_totale: importoTotale,
+        note: '',
+        txt: typeof body.txt === 'string' ? body.txt.trim() : '',
+        codice_fornitore: sanitizeText(body.codice_fornitore || ''),
+        testo_ddt: righe.join('\n'),
+        item_noconv: '',
+        storico_modifiche: '',
+        errori_consegna: ''
+      };
+      await storage.invoices.create(record);
+      return { record };
+    });
+
+    if (result.existing) {
+      const { existing } = result;
+      console.warn(`⚠️ Numero documento già presente: ${numero} (fattura ${existing.id})`);
+      return res.status(409).json({
+        error: `Esiste già una fattura ${existing.fornitore} con numero ${existing.numero}`,
+        code: 'DUPLICATE_NUMBER',
+        // I dettagli solo se l'utente può vedere la fattura esistente
+        fattura_esistente: canAccessStore(req.user, existing.punto_vendita)
+          ? { id: existing.id, numero: existing.numero, fornitore: existing.fornitore, punto_vendita: existing.punto_vendita, stato: existing.stato }
+          : null
+      });
+    }
+
+    const { record } = result;
+    await audit(req, 'invoice.create', {
+      target: { type: 'invoice', id: record.id },
+      store: record.punto_vendita,
+      after: pickFields(record, ['numero', 'fornitore', 'data_emissione', 'punto_vendita', 'importo_totale']),
+      details: { righe_ddt: righe.length, manuale: true }
+    });
+
+    console.log(`✅ Fattura manuale creata: ${record.numero} (${record.fornitore}) per ${record.punto_vendita}`);
+    const invoice = mapInvoiceRecord(record);
+    invoice.etag = computeInvoiceEtag(record);
+    res.set('ETag', invoice.etag);
+    res.status(201).json({ success: true, message: 'Fattura registrata', invoice });
+  } catch (error) {
+    console.error('❌ Errore creazione fattura:', error);
+    res.status(500).json({ error: 'Impossibile registrare la fattura' });
+  }
+});
+
+// ==========================================
+// GET /api/invoices/backorders - RIGHE ANCORA DA CONSEGNARE
+// ==========================================
+// Filtri: ?store= (punti vendita dell'utente), ?fornitore=
+app.get('/api/invoices/backorders', allowApiKey('invoices:read'), authenticateToken, async (req, res) => {
+  console.log('🔄 GET /api/invoices/backorders ricevuta');
+  try {
+    const { stores, error } = resolveStoreScope(req);
+    if (error) return res.status(403).json({ error });
+
+    const fornitore = typeof req.query.fornitore === 'string' ? req.query.fornitore.trim().toLowerCase() : '';
+    const records = stores === null ? await loadAllSheetData() : await loadSheetData(stores);
+
+    const fatture = records
+      .filter(r => !fornitore || String(r.fornitore || '').toLowerCase() === fornitore)
+      .map(r => {
+        const consegneParziali = parseConsegneParziali(r.consegne_parziali);
+        return {
+          id: r.id,
+          numero: r.numero,
+          fornitore: r.fornitore,
+          punto_vendita: r.punto_vendita,
+          data_emissione: r.data_emissione,
+          ultima_consegna: r.data_consegna,
+          consegne: consegneParziali?.consegne.length || 0,
+          righe: righeInBackorder(consegneParziali)
+        };
+      })
+      .filter(f => f.righe.length > 0);
+
+    // Riepilogo per punto vendita e fornitore
+    const gruppi = new Map();
+    fatture.forEach(f => {
+      const key = `${f.punto_vendita}|${f.fornitore}`;
+      const gruppo = gruppi.get(key) || { punto_vendita: f.punto_vendita, fornitore: f.fornitore, fatture: 0, righe_aperte: 0 };
+      gruppo.fatture++;
+      gruppo.righe_aperte += f.righe.length;
+      gruppi.set(key, gruppo);
+    });
+
+    res.json({
+      success: true,
+      totale: fatture.length,
+      riepilogo: [...gruppi.values()].sort((a, b) =>
+        a.punto_vendita.localeCompare(b.punto_vendita) || a.fornitore.localeCompare(b.fornitore)),
+      backorders: fatture
+    });
+  } catch (error) {
+    console.error('❌ Errore caricamento backorder:', error);
+    res.status(500).json({ error: 'Impossibile caricare i backorder' });
+  }
+});
+
+// ==========================================
+// GET /api/invoices/overdue - FATTURE PENDING OLTRE IL TEMPO MASSIMO DI CONFERMA
+// ==========================================
+// Filtri: ?store= (punti vendita dell'utente), ?fornitore=, ?solo_escalation=true
+app.get('/api/invoices/overdue', allowApiKey('invoices:read'), authenticateToken, async (req, res) => {
+  console.log('🔄 GET /api/invoices/overdue ricevuta');
+  try {
+    const { stores, error } = resolveStoreScope(req);
+    if (error) return res.status(403).json({ error });
+
+    const fornitore = typeof req.query.fornitore === 'string' ? req.query.fornitore.trim().toLowerCase() : '';
+    const [records, config] = await Promise.all([
+      stores === null ? loadAllSheetData() : loadSheetData(stores),
+      slaStore.read()
+    ]);
+    const oggi = dataLocaleISO();
+
+    const scadute = fattureScadute(records, config, oggi)
+      .filter(f => !fornitore || String(f.fornitore || '').toLowerCase() === fornitore)
+      .filter(f => req.query.solo_escalation !== 'true' || f.escalation);
+
+    res.json({
+      success: true,
+      data_riferimento: oggi,
+      totale: scadute.length,
+      in_escalation: scadute.filter(f => f.escalation).length,
+      punti_vendita: raggruppaScadutePerNegozio(scadute)
+    });
+  } catch (error) {
+    console.error('❌ Errore caricamento fatture scadute:', error);
+    res.status(500).json({ error: 'Impossibile caricare le fatture scadute' });
+  }
+});
+
 // ==========================================
 // ✅ NUOVO: GET /api/invoices/:id - CON FLAG ERRORI/CRONOLOGIA
 // ==========================================
-app.get('/api/invoices/:id', authenticateToken, async (req, res) => {
+app.get('/api/invoices/:id', allowApiKey('invoices:read'), authenticateToken, requireInvoiceAccess, async (req, res) => {
   try {
     const { id } = req.params;
     
     console.log('🔄 GET /api/invoices/:id ricevuta per ID:', id);
     
-    const sheet = await getGoogleSheet();
-    const rows = await sheet.getRows();
-    const row = rows.find(r => r.get('id') === id.toString());
-    
-    if (!row) {
-      return res.status(404).json({ error: 'Fattura non trovata' });
-    }
-    
-    // Dati base fattura
-    const invoiceData = {
-      id: row.get('id'),
-      numero: row.get('numero'),
-      fornitore: row.get('fornitore'),
-      data_emissione: row.get('data_emissione'),
-      data_consegna: row.get('data_consegna'),
-      stato: row.get('stato'),
-      punto_vendita: row.get('punto_vendita'),
-      confermato_da: row.get('confermato_da'),
-      pdf_link: row.get('pdf_link'),
-      importo_totale: row.get('importo_totale'),
-      note: row.get('note') || '',
-      txt: row.get('txt') || '',
-      codice_fornitore: row.get('codice_fornitore') || '',
-      testo_ddt: row.get('testo_ddt') || '',
-      item_noconv: row.get('item_noconv') || '',
-      storico_modifiche: row.get('storico_modifiche') || '',
-      errori_consegna: row.get('errori_consegna') || ''
-    };
-    
-    // ✅ FLAG: Presenza errori
-    const erroriConsegnaValue = String(invoiceData.errori_consegna || '').trim();
-    const noteValue = String(invoiceData.note || '').trim();
-    const itemNoConvValue = String(invoiceData.item_noconv || '').trim();
-    
-    invoiceData.has_errors = (
-      erroriConsegnaValue !== '' || 
-      noteValue !== '' || 
-      itemNoConvValue !== ''
-    );
-    
-    // ✅ FLAG: Presenza cronologia
-    const storicoValue = String(invoiceData.storico_modifiche || '').trim();
-    invoiceData.has_history = storicoValue !== '';
+    const record = req.invoice;
     
-    // ✅ CONTEGGIO: Numero modifiche in cronologia
-    if (invoiceData.has_history) {
-      try {
-        const storicoArray = JSON.parse(storicoValue);
-        invoiceData.history_count = Array.isArray(storicoArray) ? storicoArray.length : 0;
-      } catch {
-        invoiceData.history_count = 0;
-      }
-    } else {
-      invoiceData.history_count = 0;
-    }
+    // Dati base fattura + flag errori/cronologia
+    const invoiceData = mapInvoiceRecord(record);
+    invoiceData.etag = computeInvoiceEtag(record);
+    invoiceData.transizioni_consentite = allowedInvoiceTransitions(record, req.user);
+    res.set('ETag', invoiceData.etag);
     
     console.log(`✅ Fattura recuperata: ${invoiceData.numero}`);
     console.log(`   has_errors: ${invoiceData.has_errors}`);
@@ -1157,27 +2475,21 @@ app.get('/api/invoices/:id', authenticateToken, async (req, res) => {
 // ==========================================
 // ✅ CORRETTO: GET /api/invoices/:id/errors
 // ==========================================
-app.get('/api/invoices/:id/errors', authenticateToken, async (req, res) => {
+app.get('/api/invoices/:id/errors', allowApiKey('invoices:read'), authenticateToken, requireInvoiceAccess, async (req, res) => {
   try {
     const { id } = req.params;
     
     console.log('🔄 GET /api/invoices/:id/errors ricevuta per ID:', id);
     
-    const sheet = await getGoogleSheet();
-    const rows = await sheet.getRows();
-    const row = rows.find(r => r.get('id') === id.toString());
-    
-    if (!row) {
-      return res.status(404).json({ error: 'Fattura non trovata' });
-    }
+    const record = req.invoice;
     
     const errorsData = {
-      fattura_id: row.get('id'),
-      numero: row.get('numero'),
-      fornitore: row.get('fornitore'),
-      punto_vendita: row.get('punto_vendita'),
-      data_consegna: row.get('data_consegna'),
-      confermato_da: row.get('confermato_da'),
+      fattura_id: record.id,
+      numero: record.numero,
+      fornitore: record.fornitore,
+      punto_vendita: record.punto_vendita,
+      data_consegna: record.data_consegna,
+      confermato_da: record.confermato_da,
       has_errors: false,
       errori_strutturati: null,
       note_errori_legacy: null,
@@ -1185,7 +2497,7 @@ app.get('/api/invoices/:id/errors', authenticateToken, async (req, res) => {
     };
     
     // ✅ Errori strutturati (nuovo formato)
-    const erroriConsegnaValue = String(row.get('errori_consegna') || '').trim();
+    const erroriConsegnaValue = String(record.errori_consegna || '').trim();
     if (erroriConsegnaValue !== '') {
       try {
         const erroriParsed = JSON.parse(erroriConsegnaValue);
@@ -1198,7 +2510,7 @@ app.get('/api/invoices/:id/errors', authenticateToken, async (req, res) => {
     }
     
     // ✅ Backward compatibility: note legacy
-    const noteValue = String(row.get('note') || '').trim();
+    const noteValue = String(record.note || '').trim();
     if (noteValue !== '') {
       errorsData.note_errori_legacy = noteValue;
       errorsData.has_errors = true;
@@ -1206,13 +2518,15 @@ app.get('/api/invoices/:id/errors', authenticateToken, async (req, res) => {
     }
     
     // ✅ Backward compatibility: item_noconv legacy
-    const itemNoConvValue = String(row.get('item_noconv') || '').trim();
+    const itemNoConvValue = String(record.item_noconv || '').trim();
     if (itemNoConvValue !== '') {
       errorsData.errori_conversione_legacy = itemNoConvValue;
       errorsData.has_errors = true;
       console.log('   ⚠️ Errori conversione legacy trovati');
     }
     
+    errorsData.allegati = (await attachmentStore.listForInvoice(record.id)).map(formatAllegato);
+    
     if (!errorsData.has_errors) {
       console.log('   ℹ️ Nessun errore trovato per questa fattura');
     }
@@ -1228,33 +2542,122 @@ app.get('/api/invoices/:id/errors', authenticateToken, async (req, res) => {
   }
 });
 
+// ==========================================
+// ALLEGATI: CARICAMENTO, DOWNLOAD E RIMOZIONE
+// ==========================================
+// multipart/form-data: allegati (uno o più file), riga_numero (facoltativo), descrizione (facoltativa)
+app.post('/api/invoices/:id/attachments', authenticateToken, requireInvoiceAccess, parseAllegati, async (req, res) => {
+  const { id } = req.params;
+  console.log('🔄 POST /api/invoices/:id/attachments ricevuta per ID:', id);
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'Nessun file allegato (campo "allegati")' });
+    }
+    if (req.invoice.stato === 'archiviato') {
+      return res.status(409).json({ error: 'Fattura archiviata: non è più modificabile', code: 'INVOICE_ARCHIVED' });
+    }
+
+    const validated = validaAllegati(req, req.invoice);
+    if (validated.error) return res.status(400).json({ error: validated.error });
+
+    const allegati = await salvaAllegati(req, req.invoice, validated);
+    await audit(req, 'invoice.attachment_add', {
+      target: { type: 'invoice', id: String(id) },
+      store: req.invoice.punto_vendita,
+      details: { allegati: allegati.map(a => ({ id: a.id, nome: a.originalName, riga_numero: a.rigaNumero })) }
+    });
+
+    console.log(`📎 ${allegati.length} allegati salvati per fattura ${id}`);
+    res.status(201).json({ success: true, allegati: allegati.map(formatAllegato) });
+  } catch (error) {
+    console.error('❌ Errore salvataggio allegati:', error);
+    res.status(500).json({ error: 'Impossibile salvare gli allegati' });
+  }
+});
+
+app.get('/api/invoices/:id/attachments/:attachmentId', allowApiKey('invoices:read'), authenticateToken, requireInvoiceAccess, async (req, res) => {
+  try {
+    const attachment = await attachmentStore.get(req.params.attachmentId);
+    if (!attachment || attachment.invoiceId !== String(req.invoice.id)) {
+      return res.status(404).json({ error: 'Allegato non trovato' });
+    }
+    inviaFileAllegato(res, attachment);
+  } catch (error) {
+    console.error('❌ Errore download allegato:', error);
+    res.status(500).json({ error: 'Impossibile scaricare l\'allegato' });
+  }
+});
+
+// Solo chi ha caricato il file o chi ha edit_all
+app.delete('/api/invoices/:id/attachments/:attachmentId', authenticateToken, requireInvoiceAccess, async (req, res) => {
+  try {
+    const attachment = await attachmentStore.get(req.params.attachmentId);
+    if (!attachment || attachment.invoiceId !== String(req.invoice.id)) {
+      return res.status(404).json({ error: 'Allegato non trovato' });
+    }
+    if (attachment.uploadedBy !== req.user.email && !hasPermission(req.user, 'edit_all')) {
+      return res.status(403).json({ error: 'Puoi eliminare solo gli allegati caricati da te' });
+    }
+    if (req.invoice.stato === 'archiviato') {
+      return res.status(409).json({ error: 'Fattura archiviata: non è più modificabile', code: 'INVOICE_ARCHIVED' });
+    }
+
+    await attachmentStore.remove(attachment.id);
+    await audit(req, 'invoice.attachment_delete', {
+      target: { type: 'invoice', id: String(req.invoice.id) },
+      store: req.invoice.punto_vendita,
+      before: { id: attachment.id, nome: attachment.originalName, caricato_da: attachment.uploadedBy }
+    });
+    res.json({ success: true, message: 'Allegato eliminato' });
+  } catch (error) {
+    console.error('❌ Errore eliminazione allegato:', error);
+    res.status(500).json({ error: 'Impossibile eliminare l\'allegato' });
+  }
+});
+
+// Link firmati inclusi nelle segnalazioni ai fornitori: nessun login, solo firma e scadenza
+app.get('/api/public/attachments/:attachmentId', async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const expires = Number(req.query.expires);
+    const sig = Buffer.from(String(req.query.sig || ''));
+    const expected = Buffer.from(firmaLinkAllegato(attachmentId, req.query.expires));
+
+    // timingSafeEqual richiede buffer della stessa lunghezza in byte (sig può contenere caratteri multibyte)
+    const valid = sig.length === expected.length && crypto.timingSafeEqual(sig, expected);
+    if (!valid) return res.status(403).json({ error: 'Link non valido' });
+    if (!Number.isFinite(expires) || expires < Date.now()) return res.status(410).json({ error: 'Link scaduto' });
+
+    const attachment = await attachmentStore.get(attachmentId);
+    if (!attachment) return res.status(404).json({ error: 'Allegato non trovato' });
+    inviaFileAllegato(res, attachment);
+  } catch (error) {
+    console.error('❌ Errore download allegato pubblico:', error);
+    res.status(500).json({ error: 'Impossibile scaricare l\'allegato' });
+  }
+});
+
 // ==========================================
 // ✅ NUOVO: GET /api/invoices/:id/history - RECUPERA CRONOLOGIA FATTURA
 // ==========================================
-app.get('/api/invoices/:id/history', authenticateToken, async (req, res) => {
+app.get('/api/invoices/:id/history', allowApiKey('invoices:read'), authenticateToken, requireInvoiceAccess, async (req, res) => {
   try {
     const { id } = req.params;
     
     console.log('🔄 GET /api/invoices/:id/history ricevuta per ID:', id);
     
-    const sheet = await getGoogleSheet();
-    const rows = await sheet.getRows();
-    const row = rows.find(r => r.get('id') === id.toString());
-    
-    if (!row) {
-      return res.status(404).json({ error: 'Fattura non trovata' });
-    }
+    const record = req.invoice;
     
     const historyData = {
-      fattura_id: row.get('id'),
-      numero: row.get('numero'),
-      fornitore: row.get('fornitore'),
-      punto_vendita: row.get('punto_vendita'),
+      fattura_id: record.id,
+      numero: record.numero,
+      fornitore: record.fornitore,
+      punto_vendita: record.punto_vendita,
       has_history: false,
       modifiche: []
     };
     
-    const storicoValue = String(row.get('storico_modifiche') || '').trim();
+    const storicoValue = String(record.storico_modifiche || '').trim();
     
     if (storicoValue !== '') {
       try {
@@ -1291,6 +2694,25 @@ app.get('/api/invoices/:id/history', authenticateToken, async (req, res) => {
       console.log('   ℹ️ Nessuna cronologia presente per questa fattura');
     }
     
+    const storico = parseStoricoModifiche(record.storico_modifiche);
+    const versioneCorrente = ultimaVersione(storico);
+    historyData.versione_corrente = versioneCorrente;
+    historyData.versioni = elencoVersioni(storico);
+    
+    // Confronto tra due versioni: ?da=<versione>&a=<versione> (senza a: versione corrente)
+    if (req.query.da !== undefined) {
+      const da = Number(req.query.da);
+      const a = req.query.a !== undefined ? Number(req.query.a) : versioneCorrente;
+      if (![da, a].every(v => Number.isInteger(v) && v >= 0 && v <= versioneCorrente)) {
+        return res.status(400).json({ error: `Versioni non valide (da 0 a ${versioneCorrente})` });
+      }
+      historyData.confronto = {
+        da,
+        a,
+        differenze: diffVersioni(ricostruisciVersione(record, da), ricostruisciVersione(record, a))
+      };
+    }
+    
     res.json({
       success: true,
       history: historyData
@@ -1302,24 +2724,32 @@ app.get('/api/invoices/:id/history', authenticateToken, async (req, res) => {
   }
 });
 
+// ==========================================
+// GET /api/invoices/:id/reconciliation - CONFRONTO DDT / TXT
+// ==========================================
+app.get('/api/invoices/:id/reconciliation', allowApiKey('invoices:read'), authenticateToken, requireInvoiceAccess, (req, res) => {
+  console.log('🔄 GET /api/invoices/:id/reconciliation ricevuta per ID:', req.params.id);
+  try {
+    const report = riconciliaFattura(req.invoice);
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('❌ Errore riconciliazione DDT/TXT:', error);
+    res.status(500).json({ error: 'Impossibile confrontare DDT e TXT' });
+  }
+});
+
 // ==========================================
 // ✅ NUOVO: Endpoint per parsing DDT
 // ==========================================
-app.get('/api/invoices/:id/parse-ddt', authenticateToken, async (req, res) => {
+app.get('/api/invoices/:id/parse-ddt', allowApiKey('invoices:read'), authenticateToken, requireInvoiceAccess, async (req, res) => {
   try {
     const { id } = req.params;
     
     console.log('🔄 GET /api/invoices/:id/parse-ddt ricevuta per ID:', id);
     
-    const sheet = await getGoogleSheet();
-    const rows = await sheet.getRows();
-    const row = rows.find(r => r.get('id') === id.toString());
-    
-    if (!row) {
-      return res.status(404).json({ error: 'Fattura non trovata' });
-    }
+    const record = req.invoice;
     
-    const testoDDT = row.get('testo_ddt') || '';
+    const testoDDT = record.testo_ddt || '';
     const prodottiParsed = parseDDTCompleto(testoDDT);
     
     console.log(`✅ DDT parsato: ${prodottiParsed.length} prodotti trovati`);
@@ -1327,12 +2757,12 @@ app.get('/api/invoices/:id/parse-ddt', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       fattura: {
-        id: row.get('id'),
-        numero: row.get('numero'),
-        fornitore: row.get('fornitore'),
-        data_emissione: row.get('data_emissione'),
-        punto_vendita: row.get('punto_vendita'),
-        codice_fornitore: row.get('codice_fornitore') || ''
+        id: record.id,
+        numero: record.numero,
+        fornitore: record.fornitore,
+        data_emissione: record.data_emissione,
+        punto_vendita: record.punto_vendita,
+        codice_fornitore: record.codice_fornitore || ''
       },
       prodotti: prodottiParsed,
       testo_originale: testoDDT
@@ -1343,10 +2773,12 @@ app.get('/api/invoices/:id/parse-ddt', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/invoices/:id/report-error', authenticateToken, async (req, res) => {
+// Accetta JSON oppure multipart/form-data con foto/PDF nel campo "allegati" (modifiche_righe come stringa JSON)
+app.post('/api/invoices/:id/report-error', authenticateToken, requireInvoiceAccess, parseAllegati, async (req, res) => {
   try {
     const { id } = req.params;
-    const { data_consegna, modifiche_righe, note_testuali } = req.body;
+    const { data_consegna, note_testuali } = req.body;
+    let { modifiche_righe } = req.body;
     
     console.log('🔄 POST /api/invoices/:id/report-error ricevuta per ID:', id);
     
@@ -1355,25 +2787,32 @@ app.post('/api/invoices/:id/report-error', authenticateToken, async (req, res) =
       return res.status(400).json({ error: 'Data di consegna non valida' });
     }
     
-    // Almeno una modifica O una nota
+    if (typeof modifiche_righe === 'string') {
+      try {
+        modifiche_righe = JSON.parse(modifiche_righe);
+      } catch {
+        return res.status(400).json({ error: 'modifiche_righe non è un JSON valido' });
+      }
+    }
+    if (modifiche_righe !== undefined) {
+      const erroreModifiche = validaModificheRighe(modifiche_righe);
+      if (erroreModifiche) return res.status(400).json({ error: erroreModifiche, categorie_ammesse: ERROR_CATEGORY_CODES });
+    }
+    
+    const allegatiValidati = req.files?.length ? validaAllegati(req, req.invoice) : null;
+    if (allegatiValidati?.error) return res.status(400).json({ error: allegatiValidati.error });
+    
+    // Almeno una modifica, una nota o un allegato
     const hasModifiche = modifiche_righe?.some(m => m.modificato);
     const hasNote = note_testuali && note_testuali.trim() !== '';
+    const hasAllegati = Boolean(allegatiValidati?.files.length);
     
-    if (!hasModifiche && !hasNote) {
+    if (!hasModifiche && !hasNote && !hasAllegati) {
       return res.status(400).json({ 
-        error: 'Inserisci almeno una modifica o una nota testuale' 
+        error: 'Inserisci almeno una modifica, una nota testuale o un allegato' 
       });
     }
     
-    // Recupera dati fattura
-    const sheet = await getGoogleSheet();
-    const rows = await sheet.getRows();
-    const row = rows.find(r => r.get('id') === id.toString());
-    
-    if (!row) {
-      return res.status(404).json({ error: 'Fattura non trovata' });
-    }
-    
     // Prepara oggetto errori
     const erroriData = {
       timestamp: new Date().toISOString(),
@@ -1384,32 +2823,69 @@ app.post('/api/invoices/:id/report-error', authenticateToken, async (req, res) =
       righe_modificate: modifiche_righe?.filter(m => m.modificato).length || 0,
       totale_righe: modifiche_righe?.length || 0
     };
+    erroriData.categorie = contaCategorieErrori(erroriData);
     
     console.log(`⚠️ Registrando errori: ${erroriData.righe_modificate} righe modificate`);
     
     const erroriConsegnaJson = JSON.stringify(erroriData);
+    // Una segnalazione apre (o aggiorna) una contestazione
+    const updates = {
+      errori_consegna: erroriConsegnaJson,
+      stato: 'contestato',
+      data_consegna: sanitizeDateSafe(data_consegna),
+      confermato_da: req.user.email
+    };
+    
+    // Recupera dati fattura, verifica la versione (If-Match) e la transizione, poi salva su storage
+    const { record, updated } = await withInvoiceLock(id, async () => {
+      const current = await storage.invoices.findById(id);
+      if (!current) return {};
+      
+      const conflict = checkInvoiceVersion(current, req.get('If-Match'), Object.keys(updates));
+      if (conflict) throw createVersionConflictError(conflict);
+      
+      // Il TXT della segnalazione coprirebbe tutto il DDT, righe già esportate con i file _P<n> comprese
+      if (parseConsegneParziali(current.consegne_parziali)) {
+        throw createInvoiceStateError('PARTIAL_DELIVERY', 'Fattura con consegne parziali: segnalazione errori non disponibile, usa /confirm-partial per le righe residue');
+      }
+      assertInvoiceTransition(current, 'contestato', req.user);
+      const rowUpdates = {
+        ...updates,
+        storico_modifiche: registraVersione(current.storico_modifiche, current, updates, req.user.email, {
+          motivo: 'Segnalazione errori di consegna'
+        })
+      };
+      
+      return { record: current, updated: { ...current, ...(await storage.invoices.update(id, rowUpdates)) } };
+    });
     
-    // Salva in Google Sheet
-    row.set('errori_consegna', erroriConsegnaJson);
-    row.set('stato', 'consegnato');
-    row.set('data_consegna', sanitizeDateSafe(data_consegna));
-    row.set('confermato_da', req.user.email);
-    await row.save();
+    if (!record) {
+      return res.status(404).json({ error: 'Fattura non trovata' });
+    }
     
-    console.log('💾 Errori salvati in Google Sheet');
+    console.log('💾 Errori salvati su storage');
+    const allegati = allegatiValidati ? await salvaAllegati(req, record, allegatiValidati) : [];
+    if (allegati.length > 0) console.log(`📎 ${allegati.length} allegati salvati con la segnalazione`);
+    await audit(req, 'invoice.report_error', {
+      target: { type: 'invoice', id: record.id },
+      store: record.punto_vendita,
+      before: pickFields(record, Object.keys(updates)),
+      after: updates,
+      details: allegati.length > 0 ? { allegati: allegati.map(a => a.id) } : null
+    });
     
     const invoiceDataForTxt = {
-      id: row.get('id'),
-      numero: row.get('numero'),
-      fornitore: row.get('fornitore'),
-      data_emissione: row.get('data_emissione'),
+      id: record.id,
+      numero: record.numero,
+      fornitore: record.fornitore,
+      data_emissione: record.data_emissione,
       data_consegna: sanitizeDateSafe(data_consegna),
-      punto_vendita: row.get('punto_vendita'),
+      punto_vendita: record.punto_vendita,
       confermato_da: req.user.email,
-      txt: row.get('txt') || '',
-      codice_fornitore: row.get('codice_fornitore') || '',
+      txt: record.txt || '',
+      codice_fornitore: record.codice_fornitore || '',
       note: sanitizeText(note_testuali || ''),
-      item_noconv: row.get('item_noconv') || '',
+      item_noconv: record.item_noconv || '',
       errori_consegna: erroriConsegnaJson
     };
     
@@ -1427,18 +2903,25 @@ app.post('/api/invoices/:id/report-error', authenticateToken, async (req, res) =
       console.error('❌ Errore generazione file TXT:', txtError);
     }
     
+    res.set('ETag', computeInvoiceEtag(updated));
     res.json({ 
       success: true, 
-      message: '⚠️ Errori registrati con successo'
+      message: updated._pending_write
+        ? '⚠️ Errori registrati: il salvataggio verrà completato appena Google Sheets torna disponibile'
+        : '⚠️ Errori registrati con successo',
+      allegati: allegati.map(formatAllegato),
+      in_coda: Boolean(updated._pending_write)
     });
     
   } catch (error) {
+    if (error.code === 'VERSION_CONFLICT') return sendVersionConflict(res, error);
+    if (INVOICE_STATE_ERROR_STATUS[error.code]) return sendInvoiceStateError(res, error);
     console.error('❌ Errore report errori:', error);
     res.status(500).json({ error: 'Impossibile registrare gli errori: ' + error.message });
   }
 });
 
-app.post('/api/invoices/:id/confirm', authenticateToken, async (req, res) => {
+app.post('/api/invoices/:id/confirm', authenticateToken, requireInvoiceAccess, async (req, res) => {
   try {
     const { id } = req.params;
     const body = req.body ?? {};
@@ -1454,7 +2937,7 @@ app.post('/api/invoices/:id/confirm', authenticateToken, async (req, res) => {
     }
 
     let confermatoDa = req.user.email;
-    if (req.user.role === 'admin' && typeof confermato_da_email_raw === 'string' && validateEmail(confermato_da_email_raw)) {
+    if (hasPermission(req.user, 'edit_all') && typeof confermato_da_email_raw === 'string' && validateEmail(confermato_da_email_raw)) {
       confermatoDa = sanitizeEmailSafe(confermato_da_email_raw);
     }
 
@@ -1469,15 +2952,484 @@ app.post('/api/invoices/:id/confirm', authenticateToken, async (req, res) => {
       ...(noteFromBody ? { note: sanitizeText(noteFromBody) } : {})
     };
 
-    await updateSheetRow(String(id), updates, confermatoDa);
-    res.json({ success: true, message: 'Consegna confermata' });
+    const updated = await updateSheetRow(String(id), updates, confermatoDa, { ifMatch: req.get('If-Match'), actor: req.user });
+    await audit(req, 'invoice.confirm', {
+      target: { type: 'invoice', id: String(id) },
+      store: req.invoice.punto_vendita,
+      before: pickFields(req.invoice, Object.keys(updates)),
+      after: updates
+    });
+    res.set('ETag', computeInvoiceEtag(updated));
+    res.json({
+      success: true,
+      message: updated._pending_write
+        ? 'Consegna confermata: il salvataggio verrà completato appena Google Sheets torna disponibile'
+        : 'Consegna confermata',
+      in_coda: Boolean(updated._pending_write)
+    });
   } catch (error) {
+    if (error.code === 'VERSION_CONFLICT') return sendVersionConflict(res, error);
+    if (INVOICE_STATE_ERROR_STATUS[error.code]) return sendInvoiceStateError(res, error);
     console.error('Errore conferma:', error);
     res.status(500).json({ error: 'Impossibile confermare la consegna' });
   }
 });
 
-app.put('/api/invoices/:id', authenticateToken, async (req, res) => {
+// ==========================================
+// POST /api/invoices/confirm-batch - CONFERMA DI PIÙ FATTURE IN UNA RICHIESTA
+// ==========================================
+const MAX_BATCH_CONFIRM = 50;
+
+// body: { ids: [...], data_consegna }. Una sola lettura e una sola scrittura sul foglio;
+// l'esito è riportato per ogni fattura (confermata, gia_confermata, errore con motivo)
+app.post('/api/invoices/confirm-batch', authenticateToken, async (req, res) => {
+  const { ids, data_consegna } = req.body ?? {};
+  console.log('🔄 POST /api/invoices/confirm-batch ricevuta:', Array.isArray(ids) ? ids.length : 0, 'fatture');
+  try {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'Elenco di ID fattura richiesto' });
+    }
+    if (ids.length > MAX_BATCH_CONFIRM) {
+      return res.status(400).json({ error: `Massimo ${MAX_BATCH_CONFIRM} fatture per richiesta` });
+    }
+    if (!data_consegna || !validateDate(data_consegna)) {
+      return res.status(400).json({ error: 'Data di consegna non valida' });
+    }
+
+    const idList = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+    const dataConsegna = sanitizeDateSafe(data_consegna);
+    const confermatoDa = req.user.email;
+
+    const { risultati, confermate } = await withInvoiceLocks(idList, async () => {
+      const records = new Map((await storage.invoices.list()).map(r => [String(r.id), r]));
+      const risultati = [];
+      const daConfermare = [];
+
+      idList.forEach(id => {
+        const record = records.get(id);
+        if (!record) return risultati.push({ id, esito: 'errore', motivo: 'Fattura non trovata' });
+        const base = { id, numero: record.numero, punto_vendita: record.punto_vendita };
+        if (!canAccessStore(req.user, record.punto_vendita)) {
+          return risultati.push({ ...base, esito: 'errore', motivo: 'Accesso negato a questa fattura' });
+        }
+        if (parseConsegneParziali(record.consegne_parziali)) {
+          return risultati.push({ ...base, esito: 'errore', motivo: 'Fattura con consegne parziali: usa /confirm-partial' });
+        }
+        try {
+          if (!assertInvoiceTransition(record, 'consegnato', req.user)) {
+            return risultati.push({ ...base, esito: 'gia_confermata', data_consegna: record.data_consegna });
+          }
+        } catch (error) {
+          return risultati.push({ ...base, esito: 'errore', motivo: error.message });
+        }
+
+        const updates = { stato: 'consegnato', data_consegna: dataConsegna, confermato_da: confermatoDa };
+        updates.storico_modifiche = registraVersione(record.storico_modifiche, record, updates, confermatoDa, { motivo: 'Conferma multipla' });
+        const item = { ...base, esito: 'confermata', data_consegna: dataConsegna };
+        risultati.push(item);
+        daConfermare.push({ record, updates, item });
+      });
+
+      if (daConfermare.length === 0) return { risultati, confermate: [] };
+
+      const updated = await storage.invoices.updateMany(daConfermare.map(({ record, updates }) => ({ id: record.id, updates })));
+      const confermate = daConfermare.map((entry, index) => ({ ...entry, updated: { ...entry.record, ...updated[index] } }));
+
+      for (const { updated: invoice, item } of confermate) {
+        try {
+          const txtResult = await generateTxtFile(invoice);
+          item.file_txt = txtResult?.fileName || null;
+        } catch (txtError) {
+          console.error(`❌ Errore generazione file TXT per fattura ${invoice.id}:`, txtError);
+          item.file_txt = null;
+        }
+        item.etag = computeInvoiceEtag(invoice);
+        item.in_coda = Boolean(invoice._pending_write);
+      }
+      return { risultati, confermate };
+    });
+
+    for (const { record, updates } of confermate) {
+      await audit(req, 'invoice.confirm', {
+        target: { type: 'invoice', id: String(record.id) },
+        store: record.punto_vendita,
+        before: pickFields(record, ['stato', 'data_consegna', 'confermato_da']),
+        after: pickFields(updates, ['stato', 'data_consegna', 'confermato_da']),
+        details: { batch: true }
+      });
+    }
+
+    const conta = (esito) => risultati.filter(r => r.esito === esito).length;
+    console.log(`✅ Conferma multipla: ${conta('confermata')} confermate, ${conta('gia_confermata')} già confermate, ${conta('errore')} errori`);
+    res.json({
+      success: true,
+      totale: risultati.length,
+      confermate: conta('confermata'),
+      gia_confermate: conta('gia_confermata'),
+      errori: conta('errore'),
+      risultati
+    });
+  } catch (error) {
+    console.error('❌ Errore conferma multipla:', error);
+    res.status(500).json({ error: 'Impossibile confermare le fatture' });
+  }
+});
+
+// ==========================================
+// POST /api/invoices/:id/confirm-partial - CONSEGNA PARZIALE CON BACKORDER
+// ==========================================
+// body: { data_consegna, righe: [{ riga_numero, quantita }] } con riga_numero di parseDDTCompleto;
+// quantita assente = tutto il residuo della riga
+app.post('/api/invoices/:id/confirm-partial', authenticateToken, requireInvoiceAccess, async (req, res) => {
+  const { id } = req.params;
+  const { data_consegna, righe } = req.body ?? {};
+  console.log('🔄 POST /api/invoices/:id/confirm-partial ricevuta per ID:', id);
+  try {
+    if (!data_consegna || !validateDate(data_consegna)) {
+      return res.status(400).json({ error: 'Data di consegna non valida' });
+    }
+    if (!Array.isArray(righe) || righe.length === 0) {
+      return res.status(400).json({ error: 'Indica almeno una riga ricevuta' });
+    }
+    const numeriRiga = righe.map(r => Number(r?.riga_numero));
+    if (numeriRiga.some(n => !Number.isInteger(n)) || new Set(numeriRiga).size !== numeriRiga.length) {
+      return res.status(400).json({ error: 'Numeri di riga non validi o ripetuti' });
+    }
+
+    const dataConsegna = sanitizeDateSafe(data_consegna);
+    const result = await withInvoiceLock(id, async () => {
+      const current = await storage.invoices.findById(id);
+      if (!current) return null;
+
+      const conflict = checkInvoiceVersion(current, req.get('If-Match'), ['consegne_parziali', 'stato', 'data_consegna']);
+      if (conflict) throw createVersionConflictError(conflict);
+      if (current.stato === 'archiviato') {
+        throw createInvoiceStateError('INVOICE_ARCHIVED', 'Fattura archiviata: non è più modificabile');
+      }
+
+      const statoCorrente = current.stato || 'pending';
+      let consegneParziali = parseConsegneParziali(current.consegne_parziali);
+      if (!consegneParziali) {
+        if (statoCorrente !== 'pending') {
+          throw createInvoiceStateError('ALREADY_DELIVERED', 'Consegna già confermata per intero');
+        }
+        const prodotti = parseDDTCompleto(current.testo_ddt || '');
+        if (prodotti.length === 0) return { invalid: 'Il DDT non contiene righe riconoscibili' };
+        consegneParziali = {
+          righe: prodotti.map(p => ({
+            riga_numero: p.riga_numero,
+            codice: p.codice,
+            nome: p.nome,
+            um: p.um,
+            quantita_ordinata: p.quantita,
+            quantita_ricevuta: 0
+          })),
+          consegne: []
+        };
+      } else if (righeInBackorder(consegneParziali).length === 0) {
+        throw createInvoiceStateError('BACKORDER_CLOSED', 'Tutte le righe risultano già consegnate');
+      }
+
+      const ricevute = [];
+      for (const richiesta of righe) {
+        const riga = consegneParziali.righe.find(r => r.riga_numero === Number(richiesta.riga_numero));
+        if (!riga) return { invalid: `Riga ${richiesta.riga_numero} non presente nel DDT` };
+        const residuo = arrotondaQuantita(riga.quantita_ordinata - riga.quantita_ricevuta);
+        const quantita = richiesta.quantita === undefined || richiesta.quantita === null ? residuo : Number(richiesta.quantita);
+        if (!Number.isFinite(quantita) || quantita <= 0 || quantita > residuo) {
+          return { invalid: `Quantità non valida per la riga ${riga.riga_numero} (residuo: ${residuo} ${riga.um})` };
+        }
+        ricevute.push({ riga, quantita });
+      }
+
+      const txt = selezionaRigheTxt(current, ricevute.map(r => r.riga.riga_numero));
+      if (txt === null) return { invalid: 'Il TXT della fattura non corrisponde riga per riga al DDT: conferma parziale non disponibile', status: 422 };
+
+      ricevute.forEach(({ riga, quantita }) => {
+        riga.quantita_ricevuta = arrotondaQuantita(riga.quantita_ricevuta + quantita);
+      });
+      const consegna = {
+        progressivo: consegneParziali.consegne.length + 1,
+        data_consegna: dataConsegna,
+        confermato_da: req.user.email,
+        timestamp: new Date().toISOString(),
+        righe: ricevute.map(({ riga, quantita }) => ({ riga_numero: riga.riga_numero, codice: riga.codice, quantita }))
+      };
+      consegneParziali.consegne.push(consegna);
+      const backorder = righeInBackorder(consegneParziali);
+
+      const isTransition = assertInvoiceTransition(current, 'consegnato', req.user);
+      const rowUpdates = {
+        consegne_parziali: JSON.stringify(consegneParziali),
+        data_consegna: dataConsegna,
+        confermato_da: req.user.email,
+        ...(isTransition ? { stato: 'consegnato' } : {})
+      };
+      rowUpdates.storico_modifiche = registraVersione(current.storico_modifiche, current, rowUpdates, req.user.email, {
+        motivo: 'Consegna parziale',
+        tipo: 'consegna_parziale',
+        progressivo: consegna.progressivo,
+        righe_in_backorder: backorder.length
+      });
+      const updated = { ...current, ...(await storage.invoices.update(id, rowUpdates)) };
+
+      let txtResult = null;
+      try {
+        txtResult = await generateTxtFile({ ...updated, txt }, false, { parte: consegna.progressivo });
+      } catch (txtError) {
+        console.error('❌ Errore generazione file TXT consegna parziale:', txtError);
+      }
+
+      return { record: current, updated, consegna, backorder, txtResult };
+    });
+
+    if (!result) return res.status(404).json({ error: 'Fattura non trovata' });
+    if (result.invalid) return res.status(result.status || 400).json({ error: result.invalid });
+
+    const { record, updated, consegna, backorder, txtResult } = result;
+    await audit(req, 'invoice.confirm_partial', {
+      target: { type: 'invoice', id: String(id) },
+      store: record.punto_vendita,
+      before: pickFields(record, ['stato', 'data_consegna']),
+      after: pickFields(updated, ['stato', 'data_consegna']),
+      details: { progressivo: consegna.progressivo, righe: consegna.righe, righe_in_backorder: backorder.length }
+    });
+
+    console.log(`✅ Consegna parziale ${consegna.progressivo} registrata: ${consegna.righe.length} righe, ${backorder.length} in backorder`);
+    res.set('ETag', computeInvoiceEtag(updated));
+    res.json({
+      success: true,
+      message: backorder.length > 0
+        ? `Consegna parziale registrata: ${backorder.length} righe restano in backorder`
+        : 'Consegna completata: nessuna riga in backorder',
+      consegna,
+      backorder,
+      file_txt: txtResult?.fileName || null,
+      in_coda: Boolean(updated._pending_write)
+    });
+  } catch (error) {
+    if (error.code === 'VERSION_CONFLICT') return sendVersionConflict(res, error);
+    if (INVOICE_STATE_ERROR_STATUS[error.code]) return sendInvoiceStateError(res, error);
+    console.error('❌ Errore conferma parziale:', error);
+    res.status(500).json({ error: 'Impossibile registrare la consegna parziale' });
+  }
+});
+
+// ==========================================
+// POST /api/invoices/:id/transition - CAMBIO DI STATO (contestazione, risoluzione, archiviazione)
+// ==========================================
+app.post('/api/invoices/:id/transition', authenticateToken, requireInvoiceAccess, async (req, res) => {
+  const { id } = req.params;
+  const { stato, motivo } = req.body ?? {};
+  console.log('🔄 POST /api/invoices/:id/transition ricevuta per ID:', id, '→', stato);
+  try {
+    if (!INVOICE_STATES.includes(stato)) {
+      return res.status(400).json({ error: `Stato non valido (ammessi: ${INVOICE_STATES.join(', ')})` });
+    }
+    // La consegna richiede data e genera il TXT: passa da /confirm o /report-error
+    if (stato === 'consegnato') {
+      return res.status(400).json({ error: 'Per confermare la consegna usa POST /api/invoices/:id/confirm' });
+    }
+    if (stato === 'pending') {
+      return res.status(400).json({ error: 'Per annullare la consegna usa POST /api/invoices/:id/revert' });
+    }
+    if (['contestato', 'risolto'].includes(stato) && (typeof motivo !== 'string' || motivo.trim() === '')) {
+      return res.status(400).json({ error: 'Motivo richiesto per questa transizione' });
+    }
+
+    const from = req.invoice.stato || 'pending';
+    const updated = await updateSheetRow(String(id), { stato }, req.user.email, {
+      ifMatch: req.get('If-Match'),
+      actor: req.user,
+      motivo: typeof motivo === 'string' ? sanitizeText(motivo) : ''
+    });
+    await audit(req, 'invoice.transition', {
+      target: { type: 'invoice', id: String(id) },
+      store: req.invoice.punto_vendita,
+      before: { stato: from },
+      after: { stato },
+      details: motivo ? { motivo: sanitizeText(motivo) } : null
+    });
+
+    res.set('ETag', computeInvoiceEtag(updated));
+    res.json({
+      success: true,
+      message: `Fattura passata da "${from}" a "${stato}"`,
+      stato,
+      transizioni_consentite: allowedInvoiceTransitions(updated, req.user),
+      in_coda: Boolean(updated._pending_write)
+    });
+  } catch (error) {
+    if (error.code === 'VERSION_CONFLICT') return sendVersionConflict(res, error);
+    if (INVOICE_STATE_ERROR_STATUS[error.code]) return sendInvoiceStateError(res, error);
+    console.error('❌ Errore cambio stato fattura:', error);
+    res.status(500).json({ error: 'Impossibile cambiare lo stato della fattura' });
+  }
+});
+
+// ==========================================
+// POST /api/invoices/:id/revert - ANNULLAMENTO DI UNA CONFERMA DI CONSEGNA (admin)
+// ==========================================
+// Riporta la fattura in pending, svuota i dati di consegna (valori precedenti nello
+// storico) e ritira i TXT generati nell'archivio recuperabile
+const CAMPI_CONSEGNA = ['data_consegna', 'confermato_da', 'errori_consegna', 'consegne_parziali'];
+
+app.post('/api/invoices/:id/revert', authenticateToken, requirePermission('edit_all'), requireInvoiceAccess, async (req, res) => {
+  const { id } = req.params;
+  const { motivo } = req.body ?? {};
+  console.log('🔄 POST /api/invoices/:id/revert ricevuta per ID:', id);
+  try {
+    if (typeof motivo !== 'string' || motivo.trim() === '') {
+      return res.status(400).json({ error: 'Motivo richiesto per annullare la consegna' });
+    }
+    const motivoPulito = sanitizeText(motivo);
+
+    const result = await withInvoiceLock(id, async () => {
+      const current = await storage.invoices.findById(id);
+      if (!current) return null;
+
+      const conflict = checkInvoiceVersion(current, req.get('If-Match'), ['stato', ...CAMPI_CONSEGNA]);
+      if (conflict) throw createVersionConflictError(conflict);
+
+      const from = current.stato || 'pending';
+      if (!assertInvoiceTransition(current, 'pending', req.user)) {
+        throw createInvoiceStateError('INVALID_TRANSITION', 'La fattura è già in attesa di conferma', { from, to: 'pending' });
+      }
+
+      const updates = { stato: 'pending' };
+      CAMPI_CONSEGNA.filter(campo => String(current[campo] || '') !== '').forEach(campo => { updates[campo] = ''; });
+      const storico = registraVersione(current.storico_modifiche, current, updates, req.user.email, {
+        motivo: motivoPulito,
+        tipo: 'annullamento_consegna'
+      });
+
+      const updated = { ...current, ...(await storage.invoices.update(id, { ...updates, storico_modifiche: storico })) };
+      const ritirati = await ritiraTxtFattura(current, { ritiratoDa: req.user.email, motivo: motivoPulito });
+      return { record: current, updated, updates, ritirati };
+    });
+
+    if (!result) return res.status(404).json({ error: 'Fattura non trovata' });
+    const { record, updated, updates, ritirati } = result;
+
+    await audit(req, 'invoice.revert', {
+      target: { type: 'invoice', id: String(id) },
+      store: record.punto_vendita,
+      before: pickFields(record, Object.keys(updates)),
+      after: updates,
+      details: { motivo: motivoPulito, file_ritirati: ritirati.map(f => f.fileName) }
+    });
+
+    console.log(`↩️ Consegna annullata per fattura ${id}: ${ritirati.length} file TXT ritirati`);
+    res.set('ETag', computeInvoiceEtag(updated));
+    res.json({
+      success: true,
+      message: 'Consegna annullata: la fattura è di nuovo da confermare',
+      file_ritirati: ritirati,
+      in_coda: Boolean(updated._pending_write)
+    });
+  } catch (error) {
+    if (error.code === 'VERSION_CONFLICT') return sendVersionConflict(res, error);
+    if (INVOICE_STATE_ERROR_STATUS[error.code]) return sendInvoiceStateError(res, error);
+    console.error('❌ Errore annullamento consegna:', error);
+    res.status(500).json({ error: 'Impossibile annullare la consegna' });
+  }
+});
+
+// ==========================================
+// POST /api/invoices/:id/restore - RIPRISTINO DI UNA VERSIONE DELLO STORICO (admin)
+// ==========================================
+// Riporta i campi tracciati ai valori della versione indicata, stato compreso (fuori
+// dalla macchina a stati); il ripristino è a sua volta una nuova versione. Se la fattura
+// torna in pending i TXT vengono ritirati, se torna consegnata il TXT viene rigenerato.
+// Le fatture archiviate non si ripristinano (409 INVOICE_ARCHIVED).
+// body: { versione, motivo }
+app.post('/api/invoices/:id/restore', authenticateToken, requirePermission('edit_all'), requireInvoiceAccess, async (req, res) => {
+  const { id } = req.params;
+  const { versione, motivo } = req.body ?? {};
+  console.log('🔄 POST /api/invoices/:id/restore ricevuta per ID:', id, 'versione:', versione);
+  try {
+    if (typeof motivo !== 'string' || motivo.trim() === '') {
+      return res.status(400).json({ error: 'Motivo richiesto per ripristinare una versione' });
+    }
+    const motivoPulito = sanitizeText(motivo);
+    const target = Number(versione);
+
+    const result = await withInvoiceLock(id, async () => {
+      const current = await storage.invoices.findById(id);
+      if (!current) return null;
+
+      const conflict = checkInvoiceVersion(current, req.get('If-Match'), CAMPI_STORICO);
+      if (conflict) throw createVersionConflictError(conflict);
+      if (current.stato === 'archiviato') {
+        throw createInvoiceStateError('INVOICE_ARCHIVED', 'Fattura archiviata: non è più modificabile');
+      }
+
+      const versioneCorrente = ultimaVersione(parseStoricoModifiche(current.storico_modifiche));
+      if (versione === undefined || versione === null || !Number.isInteger(target) || target < 0 || target >= versioneCorrente) {
+        return { invalid: versioneCorrente === 0
+          ? 'Nessuna versione da ripristinare per questa fattura'
+          : `Versione non valida (da 0 a ${versioneCorrente - 1})` };
+      }
+
+      const valori = ricostruisciVersione(current, target);
+      const updates = Object.fromEntries(CAMPI_STORICO
+        .filter(campo => valoreCampo(current, campo) !== valori[campo])
+        .map(campo => [campo, valori[campo]]));
+      if (Object.keys(updates).length === 0) return { invalid: 'La fattura ha già i valori della versione indicata' };
+
+      const storico = registraVersione(current.storico_modifiche, current, updates, req.user.email, {
+        motivo: motivoPulito,
+        tipo: 'ripristino',
+        versione_ripristinata: target
+      });
+      const updated = { ...current, ...(await storage.invoices.update(id, { ...updates, storico_modifiche: storico })) };
+
+      let ritirati = [];
+      let fileTxt = null;
+      if (updates.stato === 'pending') {
+        ritirati = await ritiraTxtFattura(current, { ritiratoDa: req.user.email, motivo: motivoPulito });
+      } else if (DELIVERED_STATES.includes(valoreCampo(updated, 'stato')) && !parseConsegneParziali(updated.consegne_parziali)) {
+        try {
+          fileTxt = (await generateTxtFile(updated, true))?.fileName || null;
+        } catch (txtError) {
+          console.error('❌ Errore generazione file TXT:', txtError);
+        }
+      }
+      return { record: current, updated, updates, ritirati, fileTxt };
+    });
+
+    if (!result) return res.status(404).json({ error: 'Fattura non trovata' });
+    if (result.invalid) return res.status(400).json({ error: result.invalid });
+    const { record, updated, updates, ritirati, fileTxt } = result;
+
+    await audit(req, 'invoice.restore', {
+      target: { type: 'invoice', id: String(id) },
+      store: record.punto_vendita,
+      before: pickFields(record, Object.keys(updates)),
+      after: updates,
+      details: { versione: target, motivo: motivoPulito, file_ritirati: ritirati.map(f => f.fileName), file_txt: fileTxt }
+    });
+
+    console.log(`⏪ Fattura ${id} ripristinata alla versione ${target}: ${Object.keys(updates).join(', ')}`);
+    res.set('ETag', computeInvoiceEtag(updated));
+    res.json({
+      success: true,
+      message: `Fattura ripristinata alla versione ${target}`,
+      versione_ripristinata: target,
+      campi_ripristinati: Object.keys(updates),
+      file_ritirati: ritirati,
+      file_txt: fileTxt,
+      in_coda: Boolean(updated._pending_write)
+    });
+  } catch (error) {
+    if (error.code === 'VERSION_CONFLICT') return sendVersionConflict(res, error);
+    if (INVOICE_STATE_ERROR_STATUS[error.code]) return sendInvoiceStateError(res, error);
+    console.error('❌ Errore ripristino versione:', error);
+    res.status(500).json({ error: 'Impossibile ripristinare la versione' });
+  }
+});
+
+app.put('/api/invoices/:id', authenticateToken, requireInvoiceAccess, async (req, res) => {
   try {
     const { id } = req.params;
     const { data_consegna, confermato_da, note, errori_consegna } = req.body;
@@ -1487,6 +3439,16 @@ app.put('/api/invoices/:id', authenticateToken, async (req, res) => {
     
     if (!id) return res.status(400).json({ error: 'ID fattura richiesto' });
 
+    // La modifica libera dei campi sovrascriverebbe le modifiche altrui: serve la versione letta
+    if (!req.get('If-Match')) {
+      res.set('ETag', computeInvoiceEtag(req.invoice));
+      return res.status(428).json({
+        error: 'Header If-Match richiesto',
+        code: 'PRECONDITION_REQUIRED',
+        dettaglio: 'Invia l\'ETag ricevuto leggendo la fattura'
+      });
+    }
+
     const updates = {};
     
     if (data_consegna) {
@@ -1504,7 +3466,19 @@ app.put('/api/invoices/:id', authenticateToken, async (req, res) => {
     }
     
     if (typeof errori_consegna === 'string' && errori_consegna.trim() !== '') {
-      updates.errori_consegna = errori_consegna;
+      let erroriParsed;
+      try {
+        erroriParsed = JSON.parse(errori_consegna);
+      } catch {
+        return res.status(400).json({ error: 'errori_consegna non è un JSON valido' });
+      }
+      if (!erroriParsed || typeof erroriParsed !== 'object' || Array.isArray(erroriParsed)) {
+        return res.status(400).json({ error: 'errori_consegna deve essere un oggetto' });
+      }
+      const erroreModifiche = validaModificheRighe(erroriParsed.modifiche ?? []);
+      if (erroreModifiche) return res.status(400).json({ error: erroreModifiche, categorie_ammesse: ERROR_CATEGORY_CODES });
+      erroriParsed.categorie = contaCategorieErrori(erroriParsed);
+      updates.errori_consegna = JSON.stringify(erroriParsed);
       console.log('✅ Aggiornamento errori_consegna ricevuto');
     }
 
@@ -1512,16 +3486,26 @@ app.put('/api/invoices/:id', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Nessun campo da aggiornare' });
     }
 
-    await updateSheetRow(id, updates, req.user.email);
+    const updated = await updateSheetRow(id, updates, req.user.email, { ifMatch: req.get('If-Match'), actor: req.user });
+    await audit(req, 'invoice.update', {
+      target: { type: 'invoice', id: String(id) },
+      store: req.invoice.punto_vendita,
+      before: pickFields(req.invoice, Object.keys(updates)),
+      after: updates
+    });
     
     console.log('✅ Fattura aggiornata con successo');
     
+    res.set('ETag', computeInvoiceEtag(updated));
     res.json({ 
       success: true, 
       message: 'Fattura aggiornata con successo', 
-      updated_fields: Object.keys(updates) 
+      updated_fields: Object.keys(updates),
+      in_coda: Boolean(updated._pending_write)
     });
   } catch (error) {
+    if (error.code === 'VERSION_CONFLICT') return sendVersionConflict(res, error);
+    if (INVOICE_STATE_ERROR_STATUS[error.code]) return sendInvoiceStateError(res, error);
     console.error('❌ Errore aggiornamento fattura:', error);
     res.status(500).json({ error: 'Impossibile aggiornare la fattura: ' + error.message });
   }
@@ -1529,26 +3513,10 @@ app.put('/api/invoices/:id', authenticateToken, async (req, res) => {
 
 const saveMovimentazioniToSheet = async (movimenti, origine, ddtNumber) => {
   try {
-    console.log('📦 Salvando movimentazioni su Google Sheets...');
+    console.log('📦 Salvando movimentazioni su storage:', storage.backend);
     console.log('📄 DDT Number:', ddtNumber);
     console.log('📦 Numero prodotti:', movimenti.length);
 
-    let sheet;
-    try {
-      sheet = await getGoogleSheet('Movimentazioni');
-    } catch {
-      console.error('❌ Foglio "Movimentazioni" non trovato, creazione in corso...');
-      const doc = await getGoogleDoc();
-      sheet = await doc.addSheet({
-        title: 'Movimentazioni',
-        headerValues: [
-          'id', 'data_movimento', 'timestamp', 'origine', 'codice_origine',
-          'prodotto', 'quantita', 'unita_misura', 'destinazione', 'codice_destinazione',
-          'stato', 'txt_content', 'txt_filename', 'creato_da', 'ddt_number'
-        ]
-      });
-    }
-
     const timestamp = new Date().toISOString();
     const dataOggi = new Date().toLocaleDateString('it-IT');
 
@@ -1570,7 +3538,7 @@ const saveMovimentazioniToSheet = async (movimenti, origine, ddtNumber) => {
       ddt_number: ddtNumber
     }));
 
-    await sheet.addRows(righe);
+    await storage.movimentazioni.createMany(righe);
     console.log(`✅ ${righe.length} righe salvate nel foglio Movimentazioni`);
 
     const ddtData = {
@@ -1598,10 +3566,13 @@ const saveMovimentazioniToSheet = async (movimenti, origine, ddtNumber) => {
   }
 };
 
-app.get('/api/movimentazioni', authenticateToken, async (req, res) => {
+app.get('/api/movimentazioni', allowApiKey('movimentazioni:read'), authenticateToken, async (req, res) => {
   console.log('🔄 GET /api/movimentazioni ricevuta');
   try {
-    const data = await loadMovimentazioniFromSheet(req.user.puntoVendita);
+    const { stores, error } = resolveStoreScope(req);
+    if (error) return res.status(403).json({ error });
+
+    const data = await loadMovimentazioniFromSheet(stores);
     res.json({ success: true, data });
   } catch (error) {
     console.error('❌ Errore caricamento movimentazioni:', error);
@@ -1623,14 +3594,14 @@ app.post('/api/movimentazioni', authenticateToken, async (req, res) => {
     if (!ddt_number || ddt_number.trim() === '') {
       return res.status(400).json({ error: 'Numero DDT richiesto' });
     }
-    if (req.user.puntoVendita !== origine && req.user.role !== 'admin') {
+    if (!canAccessStore(req.user, origine) && !hasPermission(req.user, 'edit_all')) {
       return res.status(403).json({ error: 'Non autorizzato per questo punto vendita' });
     }
 
     let customOrigin = origine;
     let customCreatoDa = req.user.email;
-    if (req.user.role === 'admin' && creato_da_email && validateEmail(creato_da_email)) {
-      const userObj = users.find(u => u.email === creato_da_email);
+    if (hasPermission(req.user, 'edit_all') && creato_da_email && validateEmail(creato_da_email)) {
+      const userObj = await userStore.findByEmail(creato_da_email);
       if (userObj) {
         customOrigin = userObj.puntoVendita;
         customCreatoDa = userObj.email;
@@ -1663,6 +3634,16 @@ app.post('/api/movimentazioni', authenticateToken, async (req, res) => {
     }
 
     const result = await saveMovimentazioniToSheet(movimenti, sanitizeText(customOrigin), ddtNumberClean);
+    await audit(req, 'movimentazione.create', {
+      target: { type: 'ddt', id: ddtNumberClean },
+      store: customOrigin,
+      after: {
+        righe: result.righe_inserite,
+        destinazioni: [...new Set(movimenti.map(m => m.destinazione))],
+        creato_da: customCreatoDa
+      },
+      details: { fattura_generata: result.fattura_generata, fattura_gia_esistente: result.fattura_gia_esistente }
+    });
 
     let successMessage = `✅ DDT ${ddtNumberClean}: ${result.righe_inserite} prodotti registrati`;
     if (result.fattura_generata > 0) {
@@ -1723,12 +3704,13 @@ app.get('/api/prodotti', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/admin/dashboard', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/dashboard', authenticateToken, requirePermission('analytics'), async (req, res) => {
   console.log('🔄 GET /api/admin/dashboard ricevuta');
   try {
-    const [invoices, movimentazioni] = await Promise.all([
+    const [invoices, movimentazioni, listino] = await Promise.all([
       loadAllSheetData(),
-      loadAllMovimentazioniData()
+      loadAllMovimentazioniData(),
+      priceListStore.snapshot()
     ]);
 
     const stats = {
@@ -1753,6 +3735,18 @@ app.get('/api/admin/dashboard', authenticateToken, requireAdmin, async (req, res
         byStore: {},
         recentActivity: movimentazioni.slice(0, 10)
       },
+      errors: {
+        invoicesWithErrors: invoices.filter(inv => inv.has_errors).length,
+        categories: ERROR_CATEGORIES,
+        byCategory: {},
+        byStore: {}
+      },
+      amounts: {
+        tolerance: { percent: IMPORTO_TOLLERANZA_PERCENTUALE, euro: IMPORTO_TOLLERANZA_EURO },
+        byOutcome: Object.fromEntries(ESITI_VERIFICA_IMPORTO.map(esito => [esito, 0])),
+        totalDeviation: 0,
+        outOfTolerance: []
+      },
       activeStores: [...new Set([
         ...invoices.map(inv => inv.punto_vendita),
         ...movimentazioni.map(mov => mov.origine)
@@ -1777,8 +3771,33 @@ app.get('/api/admin/dashboard', authenticateToken, requireAdmin, async (req, res
       }
       if (!stats.invoices.byStatus[inv.stato]) stats.invoices.byStatus[inv.stato] = 0;
       stats.invoices.byStatus[inv.stato]++;
+
+      const categorie = contaCategorieErrori(inv.errori_consegna);
+      if (Object.keys(categorie).length > 0) {
+        sommaCategorie(stats.errors.byCategory, categorie);
+        if (inv.punto_vendita) {
+          stats.errors.byStore[inv.punto_vendita] = sommaCategorie(stats.errors.byStore[inv.punto_vendita] || {}, categorie);
+        }
+      }
+
+      const verifica = verificaImporto(inv, listino);
+      stats.amounts.byOutcome[verifica.esito]++;
+      if (verifica.esito === 'fuori_tolleranza') {
+        stats.amounts.totalDeviation = arrotondaEuro(stats.amounts.totalDeviation + verifica.scostamento);
+        stats.amounts.outOfTolerance.push({
+          ...pickFields(inv, ['id', 'numero', 'fornitore', 'punto_vendita', 'data_emissione']),
+          importo_fattura: verifica.importo_fattura,
+          importo_atteso: verifica.importo_atteso,
+          scostamento: verifica.scostamento
+        });
+      }
     });
 
+    // Solo i 10 scostamenti maggiori; l'elenco completo è in /api/admin/invoices?importo=fuori_tolleranza
+    stats.amounts.outOfTolerance = stats.amounts.outOfTolerance
+      .sort((a, b) => Math.abs(b.scostamento) - Math.abs(a.scostamento))
+      .slice(0, 10);
+
     movimentazioni.forEach(mov => {
       if (mov.origine) {
         if (!stats.movimentazioni.byStore[mov.origine]) stats.movimentazioni.byStore[mov.origine] = 0;
@@ -1786,24 +3805,438 @@ app.get('/api/admin/dashboard', authenticateToken, requireAdmin, async (req, res
       }
     });
 
-    res.json({ success: true, stats });
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('❌ Errore dashboard admin:', error);
+    res.status(500).json({ error: 'Impossibile caricare la dashboard admin' });
+  }
+});
+
+// ==========================================
+// GET /api/admin/reconciliation - CONFRONTO DDT / TXT SU UN INTERVALLO DI DATE
+// ==========================================
+// ?dateFrom=&dateTo= (data di emissione, obbligatori), ?store=, ?solo_discrepanze=true
+app.get('/api/admin/reconciliation', authenticateToken, requirePermission('view_all'), async (req, res) => {
+  console.log('🔄 GET /api/admin/reconciliation ricevuta');
+  try {
+    const { dateFrom, dateTo } = req.query;
+    if (!validator.isDate(String(dateFrom || '')) || !validator.isDate(String(dateTo || '')) || dateFrom > dateTo) {
+      return res.status(400).json({ error: 'Intervallo di date non valido (dateFrom e dateTo, formato YYYY-MM-DD)' });
+    }
+    const { stores, error } = resolveStoreScope(req);
+    if (error) return res.status(403).json({ error });
+
+    const records = stores === null ? await loadAllSheetData() : await loadSheetData(stores);
+    const reports = records
+      .filter(r => r.data_emissione >= dateFrom && r.data_emissione <= dateTo)
+      .map(riconciliaFattura);
+    const risultati = req.query.solo_discrepanze === 'true' ? reports.filter(r => !r.allineata) : reports;
+
+    res.json({
+      success: true,
+      periodo: { dateFrom, dateTo },
+      totale_fatture: reports.length,
+      fatture_allineate: reports.filter(r => r.allineata).length,
+      fatture_con_discrepanze: reports.filter(r => !r.allineata).length,
+      riepilogo: reports.reduce((totale, r) => {
+        ['mancanti_in_txt', 'differenze_quantita', 'um_diverse', 'righe_txt_non_abbinate'].forEach(k => {
+          totale[k] = (totale[k] || 0) + r.riepilogo[k];
+        });
+        return totale;
+      }, {}),
+      // Nel report complessivo solo le righe con discrepanze
+      fatture: risultati.map(r => ({ ...r, righe: r.righe.filter(riga => riga.esiti.length > 0) }))
+    });
+  } catch (error) {
+    console.error('❌ Errore riconciliazione DDT/TXT:', error);
+    res.status(500).json({ error: 'Impossibile generare il report di riconciliazione' });
+  }
+});
+
+// ==========================================
+// LISTINI FORNITORI: GESTIONE ADMIN
+// ==========================================
+const PRICE_LIST_ERROR_STATUS = { PRICE_OVERLAP: 409, PRICE_INVALID_PERIOD: 400 };
+
+const sendPriceListError = (res, error) => res.status(PRICE_LIST_ERROR_STATUS[error.code]).json({
+  error: error.message,
+  code: error.code,
+  ...(error.conflict ? { voce_esistente: formatVoceListino(error.conflict) } : {})
+});
+
+// Filtri: ?fornitore= (senza distinzione maiuscole), ?codice=, ?valido_il=YYYY-MM-DD
+app.get('/api/admin/price-lists', authenticateToken, requirePermission('view_all'), async (req, res) => {
+  console.log('🔄 GET /api/admin/price-lists ricevuta');
+  try {
+    const { fornitore, codice, valido_il: validoIl } = req.query;
+    if (validoIl && !validator.isDate(String(validoIl))) {
+      return res.status(400).json({ error: 'valido_il non valido (formato YYYY-MM-DD)' });
+    }
+
+    let voci = await priceListStore.list();
+    if (fornitore) voci = voci.filter(v => v.fornitore.toLowerCase() === String(fornitore).trim().toLowerCase());
+    if (codice) voci = voci.filter(v => normalizzaCodice(v.codice) === normalizzaCodice(codice));
+    if (validoIl) voci = voci.filter(v => v.validoDal <= validoIl && (!v.validoAl || validoIl <= v.validoAl));
+
+    voci = [...voci].sort((a, b) =>
+      a.fornitore.localeCompare(b.fornitore) || a.codice.localeCompare(b.codice) || a.validoDal.localeCompare(b.validoDal));
+    res.json({
+      success: true,
+      tolleranza: { percentuale: IMPORTO_TOLLERANZA_PERCENTUALE, euro: IMPORTO_TOLLERANZA_EURO },
+      voci: voci.map(formatVoceListino)
+    });
+  } catch (error) {
+    console.error('❌ Errore caricamento listini:', error);
+    res.status(500).json({ error: 'Impossibile caricare i listini' });
+  }
+});
+
+// Body: { fornitore, voci: [{ codice, descrizione?, um?, prezzo, valido_dal, valido_al? }] }
+// Le voci vengono salvate tutte o nessuna
+app.post('/api/admin/price-lists', authenticateToken, requirePermission('edit_all'), async (req, res) => {
+  console.log('🔄 POST /api/admin/price-lists ricevuta da:', req.user.email);
+  try {
+    const { fornitore, voci } = req.body ?? {};
+    const nomeFornitore = sanitizeText(fornitore);
+    if (!nomeFornitore) return res.status(400).json({ error: 'Fornitore richiesto' });
+    if (!Array.isArray(voci) || voci.length === 0) return res.status(400).json({ error: 'Nessuna voce di listino' });
+
+    const entries = [];
+    for (const [index, input] of voci.entries()) {
+      const { voce, error } = validaVoceListino(input);
+      if (error) return res.status(400).json({ error: `Voce ${index + 1}: ${error}` });
+      entries.push({ fornitore: nomeFornitore, descrizione: '', um: '', ...voce });
+    }
+
+    const created = await priceListStore.createMany(entries, req.user.email);
+    await audit(req, 'price_list.create', {
+      target: { type: 'fornitore', id: nomeFornitore },
+      after: created.map(formatVoceListino)
+    });
+
+    console.log(`💶 Listino ${nomeFornitore}: ${created.length} prezzi inseriti`);
+    res.status(201).json({ success: true, voci: created.map(formatVoceListino) });
+  } catch (error) {
+    if (PRICE_LIST_ERROR_STATUS[error.code]) return sendPriceListError(res, error);
+    console.error('❌ Errore inserimento listino:', error);
+    res.status(500).json({ error: 'Impossibile salvare il listino' });
+  }
+});
+
+// Body: uno o più tra codice, descrizione, um, prezzo, valido_dal, valido_al (null = senza scadenza)
+app.put('/api/admin/price-lists/:id', authenticateToken, requirePermission('edit_all'), async (req, res) => {
+  const { id } = req.params;
+  console.log('🔄 PUT /api/admin/price-lists/:id ricevuta per ID:', id);
+  try {
+    const { voce, error } = validaVoceListino(req.body, { parziale: true });
+    if (error) return res.status(400).json({ error });
+    if (Object.keys(voce).length === 0) return res.status(400).json({ error: 'Nessun campo da aggiornare' });
+
+    const before = await priceListStore.get(id);
+    const updated = before ? await priceListStore.update(id, voce) : null;
+    if (!updated) return res.status(404).json({ error: 'Voce di listino non trovata' });
+
+    await audit(req, 'price_list.update', {
+      target: { type: 'price_list', id },
+      before: formatVoceListino(before),
+      after: formatVoceListino(updated)
+    });
+    res.json({ success: true, voce: formatVoceListino(updated) });
+  } catch (error) {
+    if (PRICE_LIST_ERROR_STATUS[error.code]) return sendPriceListError(res, error);
+    console.error('❌ Errore aggiornamento listino:', error);
+    res.status(500).json({ error: 'Impossibile aggiornare la voce di listino' });
+  }
+});
+
+app.delete('/api/admin/price-lists/:id', authenticateToken, requirePermission('edit_all'), async (req, res) => {
+  const { id } = req.params;
+  console.log('🔄 DELETE /api/admin/price-lists/:id ricevuta per ID:', id);
+  try {
+    const removed = await priceListStore.remove(id);
+    if (!removed) return res.status(404).json({ error: 'Voce di listino non trovata' });
+
+    await audit(req, 'price_list.delete', { target: { type: 'price_list', id }, before: formatVoceListino(removed) });
+    res.json({ success: true, message: 'Voce di listino eliminata', voce: formatVoceListino(removed) });
+  } catch (error) {
+    console.error('❌ Errore eliminazione listino:', error);
+    res.status(500).json({ error: 'Impossibile eliminare la voce di listino' });
+  }
+});
+
+// ==========================================
+// FATTURE DUPLICATE: REPORT E DECISIONI (admin)
+// ==========================================
+const caricaGruppoDuplicati = async (gruppo) => {
+  const { gruppi } = trovaDuplicati(await storage.invoices.list());
+  return gruppi.find(g => g.gruppo === gruppo) || null;
+};
+
+const GRUPPO_NON_TROVATO = 'Gruppo di duplicati non trovato: le fatture potrebbero essere cambiate, ricarica il report';
+
+// ?includi_ignorati=true per vedere anche i gruppi già valutati come non duplicati
+app.get('/api/admin/duplicates', authenticateToken, requirePermission('view_all'), async (req, res) => {
+  console.log('🔄 GET /api/admin/duplicates ricevuta');
+  try {
+    const [records, reviews, files] = await Promise.all([
+      storage.invoices.list(),
+      duplicateReviewStore.list(),
+      txtIndex.list()
+    ]);
+    const fileTxt = new Map();
+    files.filter(f => f.invoiceId).forEach(f => fileTxt.set(f.invoiceId, (fileTxt.get(f.invoiceId) || 0) + 1));
+
+    const { gruppi, idRipetuti } = trovaDuplicati(records, { reviews, fileTxt });
+    const daValutare = gruppi.filter(g => !g.ignorato);
+
+    res.json({
+      success: true,
+      gruppi_sospetti: daValutare.length,
+      gruppi_ignorati: gruppi.length - daValutare.length,
+      gruppi: req.query.includi_ignorati === 'true' ? gruppi : daValutare,
+      // Righe con lo stesso id: vanno corrette direttamente sul foglio
+      id_ripetuti: idRipetuti
+    });
+  } catch (error) {
+    console.error('❌ Errore report duplicati:', error);
+    res.status(500).json({ error: 'Impossibile generare il report dei duplicati' });
+  }
+});
+
+// Body: { principale, motivo?, conferma? }. Le altre fatture del gruppo passano direttamente
+// in archiviato con duplicato_di = principale (fuori dalla macchina a stati) e i loro TXT
+// vengono ritirati, così il gestionale riceve un solo file per la fattura. Se una copia è
+// già consegnata, in consegna parziale o ha TXT esportati serve conferma: true (altrimenti 409).
+app.post('/api/admin/duplicates/:gruppo/merge', authenticateToken, requirePermission('edit_all'), async (req, res) => {
+  const { gruppo } = req.params;
+  console.log('🔄 POST /api/admin/duplicates/:gruppo/merge ricevuta per gruppo:', gruppo);
+  try {
+    const principale = String(req.body?.principale ?? '');
+    const motivo = sanitizeText(req.body?.motivo);
+    const conferma = req.body?.conferma === true;
+
+    const trovato = await caricaGruppoDuplicati(gruppo);
+    if (!trovato) return res.status(404).json({ error: GRUPPO_NON_TROVATO });
+    const ids = trovato.fatture.map(f => f.id);
+    if (!ids.includes(principale)) return res.status(400).json({ error: 'La fattura principale deve appartenere al gruppo' });
+    const copie = ids.filter(id => id !== principale);
+
+    const result = await withInvoiceLocks(ids, async () => {
+      const current = await Promise.all(ids.map(id => storage.invoices.findById(id)));
+      if (current.some(r => !r || r.duplicato_di || chiaveDuplicato(r) !== trovato.chiave)) return null;
+      const principaleRecord = current.find(r => String(r.id) === principale);
+      const copieRecord = current.filter(r => String(r.id) !== principale);
+
+      const files = await txtIndex.list();
+      const bloccanti = copieRecord.map(r => {
+        const fileTxt = files.filter(f => f.invoiceId === String(r.id)).length;
+        const motivi = [
+          DELIVERED_STATES.includes(r.stato) && 'consegnata',
+          parseConsegneParziali(r.consegne_parziali) && 'consegna parziale',
+          fileTxt > 0 && 'TXT esportati'
+        ].filter(Boolean);
+        return { ...pickFields(r, ['id', 'numero', 'stato', 'punto_vendita']), file_txt: fileTxt, motivi };
+      }).filter(b => b.motivi.length > 0);
+      if (bloccanti.length > 0 && !conferma) return { bloccanti };
+
+      const nota = `duplicato di ${principaleRecord.numero} (id ${principale})${motivo ? `: ${motivo}` : ''}`;
+      const items = copieRecord.map(r => {
+        const updates = { stato: 'archiviato', duplicato_di: principale };
+        return {
+          id: r.id,
+          updates: { ...updates, storico_modifiche: registraVersione(r.storico_modifiche, r, updates, req.user.email, { motivo: nota }) }
+        };
+      });
+      items.push({
+        id: principaleRecord.id,
+        updates: {
+          storico_modifiche: registraVoceVersione(principaleRecord.storico_modifiche, 'duplicati', '', copie.join(', '),
+            req.user.email, { tipo: 'unione_duplicati', motivo })
+        }
+      });
+      await storage.invoices.updateMany(items);
+
+      const ritirati = [];
+      for (const copia of copieRecord) {
+        ritirati.push(...await ritiraTxtFattura(copia, { ritiratoDa: req.user.email, motivo: nota, soloPerId: true }));
+      }
+      return { principaleRecord, copieRecord, ritirati, bloccanti };
+    });
+    if (!result) return res.status(409).json({ error: GRUPPO_NON_TROVATO });
+    if (!result.principaleRecord) {
+      return res.status(409).json({
+        error: 'Alcune copie sono già consegnate o esportate: ripeti con conferma: true per archiviarle comunque',
+        code: 'DUPLICATE_MERGE_CONFIRM',
+        copie_bloccanti: result.bloccanti
+      });
+    }
+    const { principaleRecord, copieRecord, ritirati, bloccanti } = result;
+
+    await duplicateReviewStore.record({ chiave: trovato.chiave, fatture: ids, esito: 'unite', principale, motivo, decisoDa: req.user.email });
+    await audit(req, 'invoice.merge_duplicates', {
+      target: { type: 'invoice', id: principale },
+      store: principaleRecord.punto_vendita,
+      before: copieRecord.map(r => pickFields(r, ['id', 'stato', 'punto_vendita'])),
+      after: copieRecord.map(r => ({ id: r.id, stato: 'archiviato', duplicato_di: principale })),
+      details: { gruppo, chiave: trovato.chiave, motivo, copie_confermate: bloccanti.map(b => b.id), file_ritirati: ritirati.map(f => f.fileName) }
+    });
+
+    console.log(`🔗 Duplicati uniti su fattura ${principale}: ${copie.join(', ')} (${ritirati.length} file TXT ritirati)`);
+    res.json({
+      success: true,
+      message: `${copie.length} fatture archiviate come duplicato`,
+      principale,
+      duplicati: copie,
+      file_ritirati: ritirati
+    });
+  } catch (error) {
+    console.error('❌ Errore unione duplicati:', error);
+    res.status(500).json({ error: 'Impossibile unire i duplicati' });
+  }
+});
+
+// Body: { motivo } - le fatture restano invariate, il gruppo esce dal report
+app.post('/api/admin/duplicates/:gruppo/dismiss', authenticateToken, requirePermission('edit_all'), async (req, res) => {
+  const { gruppo } = req.params;
+  console.log('🔄 POST /api/admin/duplicates/:gruppo/dismiss ricevuta per gruppo:', gruppo);
+  try {
+    const motivo = sanitizeText(req.body?.motivo);
+    if (!motivo) return res.status(400).json({ error: 'Motivo richiesto per ignorare il gruppo' });
+
+    const trovato = await caricaGruppoDuplicati(gruppo);
+    if (!trovato) return res.status(404).json({ error: GRUPPO_NON_TROVATO });
+    const ids = trovato.fatture.map(f => f.id);
+
+    const review = await duplicateReviewStore.record({ chiave: trovato.chiave, fatture: ids, esito: 'ignorate', motivo, decisoDa: req.user.email });
+    await audit(req, 'invoice.dismiss_duplicates', {
+      target: { type: 'duplicate_group', id: gruppo },
+      details: { chiave: trovato.chiave, fatture: ids, motivo }
+    });
+
+    res.json({ success: true, message: 'Gruppo segnato come non duplicato', decisione: review });
+  } catch (error) {
+    console.error('❌ Errore archiviazione gruppo duplicati:', error);
+    res.status(500).json({ error: 'Impossibile registrare la decisione' });
+  }
+});
+
+// ==========================================
+// SLA CONFERMA FATTURE: CONFIGURAZIONE E SOLLECITI (admin)
+// ==========================================
+const formatRegolaSla = (regola) => ({
+  ...(regola.fornitore ? { fornitore: regola.fornitore } : {}),
+  giorni: regola.giorni,
+  escalation_giorni: regola.escalationGiorni
+});
+
+// { giorni, escalation_giorni } → { regola } nel formato dello store oppure { error }
+const validaRegolaSla = (input, etichetta) => {
+  const giorni = Number(input?.giorni);
+  const escalationGiorni = Number(input?.escalation_giorni);
+  if (!Number.isInteger(giorni) || giorni < 1) return { error: `${etichetta}: giorni deve essere un intero positivo` };
+  if (!Number.isInteger(escalationGiorni) || escalationGiorni <= giorni) {
+    return { error: `${etichetta}: escalation_giorni deve essere un intero maggiore di giorni` };
+  }
+  return { regola: { giorni, escalationGiorni } };
+};
+
+app.get('/api/admin/sla', authenticateToken, requirePermission('view_all'), async (req, res) => {
+  console.log('🔄 GET /api/admin/sla ricevuta');
+  try {
+    const config = await slaStore.read();
+    res.json({
+      success: true,
+      predefinito: formatRegolaSla(config.predefinito || SLA_PREDEFINITO),
+      predefinito_da_env: !config.predefinito,
+      fornitori: config.fornitori.map(formatRegolaSla),
+      solleciti: {
+        attivi: SOLLECITI_ATTIVI,
+        ora: SOLLECITI_ORA,
+        email_ufficio: EMAIL_UFFICIO,
+        ultimo: config.ultimoSollecito
+      }
+    });
+  } catch (error) {
+    console.error('❌ Errore caricamento SLA:', error);
+    res.status(500).json({ error: 'Impossibile caricare la configurazione SLA' });
+  }
+});
+
+// Body: { predefinito?: { giorni, escalation_giorni } | null, fornitori: [{ fornitore, giorni, escalation_giorni }] }
+// Sostituisce l'intera configurazione; predefinito null torna ai valori delle variabili d'ambiente
+app.put('/api/admin/sla', authenticateToken, requirePermission('edit_all'), async (req, res) => {
+  console.log('🔄 PUT /api/admin/sla ricevuta da:', req.user.email);
+  try {
+    const body = req.body ?? {};
+    let predefinito = null;
+    if (body.predefinito) {
+      const { regola, error } = validaRegolaSla(body.predefinito, 'predefinito');
+      if (error) return res.status(400).json({ error });
+      predefinito = regola;
+    }
+
+    const fornitori = [];
+    for (const input of Array.isArray(body.fornitori) ? body.fornitori : []) {
+      const nome = sanitizeText(input?.fornitore);
+      if (!nome) return res.status(400).json({ error: 'Nome fornitore richiesto per ogni regola' });
+      if (fornitori.some(f => f.fornitore.toLowerCase() === nome.toLowerCase())) {
+        return res.status(400).json({ error: `Regola duplicata per il fornitore ${nome}` });
+      }
+      const { regola, error } = validaRegolaSla(input, nome);
+      if (error) return res.status(400).json({ error });
+      fornitori.push({ fornitore: nome, ...regola });
+    }
+
+    const before = await slaStore.read();
+    const config = await slaStore.replace({ predefinito, fornitori, aggiornatoDa: req.user.email });
+    await audit(req, 'sla.update', {
+      target: { type: 'sla', id: 'conferma_fatture' },
+      before: { predefinito: before.predefinito, fornitori: before.fornitori },
+      after: { predefinito, fornitori }
+    });
+
+    res.json({
+      success: true,
+      predefinito: formatRegolaSla(config.predefinito || SLA_PREDEFINITO),
+      fornitori: config.fornitori.map(formatRegolaSla)
+    });
+  } catch (error) {
+    console.error('❌ Errore aggiornamento SLA:', error);
+    res.status(500).json({ error: 'Impossibile aggiornare la configurazione SLA' });
+  }
+});
+
+// Invio immediato dei solleciti, indipendente da quello giornaliero
+app.post('/api/admin/sla/notify', authenticateToken, requirePermission('edit_all'), async (req, res) => {
+  console.log('🔄 POST /api/admin/sla/notify ricevuta da:', req.user.email);
+  try {
+    const esito = await inviaSolleciti();
+    await audit(req, 'sla.notify', { details: { ...esito, automatico: false } });
+    res.json({ success: true, ...esito });
   } catch (error) {
-    console.error('❌ Errore dashboard admin:', error);
-    res.status(500).json({ error: 'Impossibile caricare la dashboard admin' });
+    console.error('❌ Errore invio solleciti:', error);
+    res.status(500).json({ error: 'Impossibile inviare i solleciti' });
   }
 });
 
-app.get('/api/admin/invoices', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/invoices', authenticateToken, requirePermission('view_all'), async (req, res) => {
   console.log('🔄 GET /api/admin/invoices ricevuta');
   try {
-    let data = await loadAllSheetData();
-    const { store, status, dateFrom, dateTo } = req.query;
+    const { store, status, dateFrom, dateTo, importo } = req.query;
+    if (importo && !ESITI_VERIFICA_IMPORTO.includes(importo)) {
+      return res.status(400).json({ error: `Filtro importo non valido (ammessi: ${ESITI_VERIFICA_IMPORTO.join(', ')})` });
+    }
+    const [records, listino] = await Promise.all([loadAllSheetData(), priceListStore.snapshot()]);
+    let data = records;
 
     if (store && store !== 'ALL') data = data.filter(inv => inv.punto_vendita === store);
     if (status && status !== 'ALL') data = data.filter(inv => inv.stato === status);
     if (dateFrom) data = data.filter(inv => inv.data_emissione >= dateFrom);
     if (dateTo) data = data.filter(inv => inv.data_emissione <= dateTo);
 
+    data = data.map(inv => ({ ...inv, verifica_importo: verificaImporto(inv, listino) }));
+    if (importo) data = data.filter(inv => inv.verifica_importo.esito === importo);
+
     res.json({ success: true, data });
   } catch (error) {
     console.error('❌ Errore caricamento fatture admin:', error);
@@ -1811,7 +4244,7 @@ app.get('/api/admin/invoices', authenticateToken, requireAdmin, async (req, res)
   }
 });
 
-app.get('/api/admin/movimentazioni', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/movimentazioni', authenticateToken, requirePermission('view_all'), async (req, res) => {
   console.log('🔄 GET /api/admin/movimentazioni ricevuta');
   try {
     let data = await loadAllMovimentazioniData();
@@ -1828,7 +4261,7 @@ app.get('/api/admin/movimentazioni', authenticateToken, requireAdmin, async (req
   }
 });
 
-app.get('/api/admin/stores', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/stores', authenticateToken, requirePermission('view_all'), async (req, res) => {
   console.log('🔄 GET /api/admin/stores ricevuta');
   try {
     const [invoices, movimentazioni] = await Promise.all([
@@ -1872,25 +4305,415 @@ app.get('/api/admin/stores', authenticateToken, requireAdmin, async (req, res) =
   }
 });
 
-app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/users', authenticateToken, requirePermission('manage_users'), async (req, res) => {
   console.log('🔄 GET /api/admin/users ricevuta');
   try {
-    const safeUsers = users.map(user => ({
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      puntoVendita: user.puntoVendita,
-      role: user.role,
-      permissions: user.permissions || []
-    }));
-    res.json({ success: true, users: safeUsers });
+    const users = await userStore.list();
+    res.json({ success: true, users: users.map(toPublicUser) });
   } catch (error) {
     console.error('❌ Errore caricamento utenti admin:', error);
     res.status(500).json({ error: 'Impossibile caricare gli utenti' });
   }
 });
 
-app.get('/api/admin/export', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/roles', authenticateToken, requirePermission('manage_users'), (req, res) => {
+  console.log('🔄 GET /api/admin/roles ricevuta');
+  res.json({ success: true, permissions: PERMISSIONS, roles: ROLE_PERMISSIONS });
+});
+
+// Valida i campi anagrafici comuni a creazione e modifica utente
+const parseUserFields = (body, { partial }) => {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') return { error: 'Nome richiesto' };
+    fields.name = sanitizeText(body.name);
+  }
+  if (body.email !== undefined || !partial) {
+    if (typeof body.email !== 'string' || !validateEmail(body.email)) return { error: 'Email non valida' };
+    fields.email = sanitizeEmailSafe(body.email);
+  }
+  if (body.puntoVendita !== undefined || !partial) {
+    if (typeof body.puntoVendita !== 'string' || body.puntoVendita.trim() === '') return { error: 'Punto vendita richiesto' };
+    fields.puntoVendita = sanitizeText(body.puntoVendita);
+  }
+  if (body.role !== undefined || !partial) {
+    if (!USER_ROLES.includes(body.role)) return { error: `Ruolo non valido (ammessi: ${USER_ROLES.join(', ')})` };
+    fields.role = body.role;
+  }
+  if (body.stores !== undefined) {
+    if (!Array.isArray(body.stores) || body.stores.some(st => !STORE_NAMES.includes(st))) {
+      return { error: 'Punti vendita non validi' };
+    }
+    fields.stores = [...new Set(body.stores)];
+  }
+  if (body.regions !== undefined) {
+    if (!Array.isArray(body.regions) || body.regions.some(r => !STORE_REGIONS.includes(r))) {
+      return { error: `Regioni non valide (ammesse: ${STORE_REGIONS.join(', ')})` };
+    }
+    fields.regions = [...new Set(body.regions)];
+  }
+  if (body.permissions !== undefined) {
+    if (!Array.isArray(body.permissions) || body.permissions.some(p => typeof p !== 'string')) {
+      return { error: 'Permessi non validi' };
+    }
+    const unknown = body.permissions.filter(p => !PERMISSIONS.includes(p));
+    if (unknown.length > 0) return { error: `Permessi sconosciuti: ${unknown.join(', ')}` };
+    fields.permissions = [...new Set(body.permissions)];
+  }
+  if (body.password !== undefined || !partial) {
+    if (!validatePassword(body.password)) return { error: `La password deve contenere almeno ${MIN_PASSWORD_LENGTH} caratteri` };
+    fields.password = body.password;
+  }
+
+  return { fields };
+};
+
+const countOtherAdmins = async (userId) =>
+  (await userStore.list()).filter(u => u.role === 'admin' && String(u.id) !== String(userId)).length;
+
+app.post('/api/admin/users', authenticateToken, requirePermission('manage_users'), async (req, res) => {
+  console.log('🔄 POST /api/admin/users ricevuta da:', req.user.email);
+  try {
+    const { fields, error } = parseUserFields(req.body ?? {}, { partial: false });
+    if (error) return res.status(400).json({ error });
+
+    if (req.body.id !== undefined && !/^\d+$/.test(String(req.body.id))) {
+      return res.status(400).json({ error: 'ID utente non valido' });
+    }
+
+    const user = await userStore.create({
+      ...fields,
+      ...(req.body.id !== undefined ? { id: Number(req.body.id) } : {})
+    });
+
+    await audit(req, 'user.create', { target: { type: 'user', id: user.id }, store: user.puntoVendita, after: toPublicUser(user) });
+    console.log('✅ Utente creato:', user.email);
+    res.status(201).json({ success: true, user: toPublicUser(user) });
+  } catch (error) {
+    if (error.code === 'DUPLICATE_EMAIL' || error.code === 'DUPLICATE_ID') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Errore creazione utente:', error);
+    res.status(500).json({ error: 'Impossibile creare l\'utente' });
+  }
+});
+
+app.put('/api/admin/users/:id', authenticateToken, requirePermission('manage_users'), async (req, res) => {
+  const { id } = req.params;
+  console.log('🔄 PUT /api/admin/users/:id ricevuta per ID:', id);
+  try {
+    const { fields, error } = parseUserFields(req.body ?? {}, { partial: true });
+    if (error) return res.status(400).json({ error });
+    if (Object.keys(fields).length === 0) return res.status(400).json({ error: 'Nessun campo da aggiornare' });
+
+    const existing = await userStore.findById(id);
+    if (!existing) return res.status(404).json({ error: 'Utente non trovato' });
+
+    if (existing.role === 'admin' && fields.role && fields.role !== 'admin' && (await countOtherAdmins(id)) === 0) {
+      return res.status(400).json({ error: 'Impossibile rimuovere il ruolo all\'ultimo amministratore' });
+    }
+
+    const user = await userStore.update(id, fields);
+    // I token contengono ruolo, permessi e punti vendita: dopo una modifica vanno riemessi
+    const scopeFields = ['role', 'permissions', 'puntoVendita', 'stores', 'regions'];
+    if (fields.password || scopeFields.some(f => fields[f] !== undefined)) {
+      await sessionStore.revokeAllForUser(id, fields.password ? 'reset_password' : 'cambio_permessi');
+    }
+    const changed = Object.keys(fields).filter(f => f !== 'password');
+    await audit(req, 'user.update', {
+      target: { type: 'user', id: user.id },
+      store: user.puntoVendita,
+      before: pickFields(existing, changed),
+      after: pickFields(user, changed),
+      details: fields.password ? { password_reimpostata: true } : null
+    });
+    console.log('✅ Utente aggiornato:', user.email, Object.keys(fields));
+    res.json({ success: true, user: toPublicUser(user), updated_fields: Object.keys(fields) });
+  } catch (error) {
+    if (error.code === 'DUPLICATE_EMAIL') return res.status(409).json({ error: error.message });
+    console.error('❌ Errore aggiornamento utente:', error);
+    res.status(500).json({ error: 'Impossibile aggiornare l\'utente' });
+  }
+});
+
+app.delete('/api/admin/users/:id', authenticateToken, requirePermission('manage_users'), async (req, res) => {
+  const { id } = req.params;
+  console.log('🔄 DELETE /api/admin/users/:id ricevuta per ID:', id);
+  try {
+    if (String(id) === String(req.user.userId)) {
+      return res.status(400).json({ error: 'Non puoi eliminare il tuo stesso utente' });
+    }
+
+    const existing = await userStore.findById(id);
+    if (!existing) return res.status(404).json({ error: 'Utente non trovato' });
+
+    if (existing.role === 'admin' && (await countOtherAdmins(id)) === 0) {
+      return res.status(400).json({ error: 'Impossibile eliminare l\'ultimo amministratore' });
+    }
+
+    await userStore.remove(id);
+    await sessionStore.revokeAllForUser(id, 'utente_eliminato');
+    await audit(req, 'user.delete', { target: { type: 'user', id: existing.id }, store: existing.puntoVendita, before: toPublicUser(existing) });
+    console.log('🗑️ Utente eliminato:', existing.email);
+    res.json({ success: true, message: 'Utente eliminato' });
+  } catch (error) {
+    console.error('❌ Errore eliminazione utente:', error);
+    res.status(500).json({ error: 'Impossibile eliminare l\'utente' });
+  }
+});
+
+app.get('/api/admin/users/:id/sessions', authenticateToken, requirePermission('manage_users'), async (req, res) => {
+  const { id } = req.params;
+  console.log('🔄 GET /api/admin/users/:id/sessions ricevuta per ID:', id);
+  try {
+    const user = await userStore.findById(id);
+    if (!user) return res.status(404).json({ error: 'Utente non trovato' });
+
+    const sessions = await sessionStore.listForUser(id);
+    res.json({ success: true, user: toPublicUser(user), sessions });
+  } catch (error) {
+    console.error('❌ Errore caricamento sessioni utente:', error);
+    res.status(500).json({ error: 'Impossibile caricare le sessioni' });
+  }
+});
+
+app.post('/api/admin/users/:id/revoke-sessions', authenticateToken, requirePermission('manage_users'), async (req, res) => {
+  const { id } = req.params;
+  console.log('🔄 POST /api/admin/users/:id/revoke-sessions ricevuta per ID:', id, 'da:', req.user.email);
+  try {
+    const user = await userStore.findById(id);
+    if (!user) return res.status(404).json({ error: 'Utente non trovato' });
+
+    const revoked = await sessionStore.revokeAllForUser(id, 'revoca_admin');
+    await audit(req, 'user.revoke_sessions', { target: { type: 'user', id: user.id }, store: user.puntoVendita, details: { sessioni_revocate: revoked } });
+    console.log(`🚫 Sessioni revocate per ${user.email}: ${revoked}`);
+    res.json({ success: true, message: 'Sessioni revocate', sessioni_revocate: revoked });
+  } catch (error) {
+    console.error('❌ Errore revoca sessioni:', error);
+    res.status(500).json({ error: 'Impossibile revocare le sessioni' });
+  }
+});
+
+app.get('/api/admin/cache', authenticateToken, requirePermission('system_config'), (req, res) => {
+  console.log('🔄 GET /api/admin/cache ricevuta');
+  res.json({ success: true, backend: storage.backend, ttlMs: STORAGE_CACHE_TTL_MS, cache: storage.cacheStats() });
+});
+
+app.post('/api/admin/cache/invalidate', authenticateToken, requirePermission('system_config'), async (req, res) => {
+  console.log('🔄 POST /api/admin/cache/invalidate ricevuta da:', req.user.email);
+  storage.invalidateCache();
+  await audit(req, 'system.cache_invalidate');
+  res.json({ success: true, message: 'Cache svuotata' });
+});
+
+// ==========================================
+// CODA SCRITTURE (retry Google Sheets)
+// ==========================================
+app.get('/api/admin/write-queue', authenticateToken, requirePermission('system_config'), (req, res) => {
+  console.log('🔄 GET /api/admin/write-queue ricevuta');
+  const { pending, failed } = storage.writeQueue.status();
+  res.json({ success: true, in_coda: pending.length, fallite: failed.length, pending, failed });
+});
+
+app.post('/api/admin/write-queue/retry', authenticateToken, requirePermission('system_config'), async (req, res) => {
+  console.log('🔄 POST /api/admin/write-queue/retry ricevuta da:', req.user.email);
+  try {
+    const ripristinate = await storage.writeQueue.retry(req.body?.operation_id || null);
+    await audit(req, 'system.write_queue_retry', {
+      target: req.body?.operation_id ? { type: 'write_operation', id: req.body.operation_id } : null,
+      details: { ripristinate }
+    });
+    res.json({ success: true, message: 'Nuovo tentativo avviato', ripristinate });
+  } catch (error) {
+    console.error('❌ Errore retry coda scritture:', error);
+    res.status(500).json({ error: 'Impossibile ritentare le scritture in coda' });
+  }
+});
+
+app.delete('/api/admin/write-queue/:operationId', authenticateToken, requirePermission('system_config'), async (req, res) => {
+  console.log('🔄 DELETE /api/admin/write-queue/:operationId ricevuta da:', req.user.email);
+  try {
+    const removed = await storage.writeQueue.discard(req.params.operationId);
+    if (!removed) return res.status(404).json({ error: 'Operazione non trovata' });
+    await audit(req, 'system.write_queue_discard', { target: { type: 'write_operation', id: req.params.operationId } });
+    res.json({ success: true, message: 'Operazione scartata' });
+  } catch (error) {
+    console.error('❌ Errore eliminazione operazione in coda:', error);
+    res.status(500).json({ error: 'Impossibile scartare l\'operazione' });
+  }
+});
+
+// ==========================================
+// SCHEMA FOGLI (controllo intestazioni e migrazione colonne)
+// ==========================================
+const logSchemaReport = (report) => {
+  report.forEach(t => {
+    if (!t.exists) {
+      console.warn(`⚠️ Schema ${t.table}: foglio non presente`);
+    } else if (t.ok) {
+      console.log(`✅ Schema ${t.table}: intestazioni complete`);
+    } else {
+      if (t.missing.length) console.warn(`⚠️ Schema ${t.table}: colonne mancanti → ${t.missing.join(', ')}`);
+      t.renamed.forEach(r => console.warn(`⚠️ Schema ${t.table}: "${r.header}" sembra la colonna "${r.column}" rinominata`));
+    }
+    if (t.extra?.length) console.log(`ℹ️ Schema ${t.table}: colonne non dichiarate → ${t.extra.join(', ')}`);
+  });
+};
+
+app.get('/api/admin/schema', authenticateToken, requirePermission('system_config'), async (req, res) => {
+  console.log('🔄 GET /api/admin/schema ricevuta');
+  try {
+    const report = await storage.schema.check();
+    res.json({ success: true, ok: report.every(t => t.ok), tables: report });
+  } catch (error) {
+    console.error('❌ Errore controllo schema:', error);
+    res.status(500).json({ error: 'Impossibile verificare lo schema dei fogli: ' + error.message });
+  }
+});
+
+app.post('/api/admin/schema/migrate', authenticateToken, requirePermission('system_config'), async (req, res) => {
+  const dryRun = req.body?.dry_run === true;
+  console.log('🔄 POST /api/admin/schema/migrate ricevuta da:', req.user.email, dryRun ? '(simulazione)' : '');
+  try {
+    const results = await storage.schema.migrate({ dryRun });
+    if (!dryRun) {
+      storage.invalidateCache();
+      await audit(req, 'system.schema_migrate', {
+        after: results.map(r => ({ table: r.table, created: r.created, added: r.added }))
+      });
+    }
+
+    results.forEach(r => {
+      if (r.created) console.log(`📄 Schema ${r.table}: foglio creato`);
+      if (r.added.length) console.log(`➕ Schema ${r.table}: ${dryRun ? 'da aggiungere' : 'aggiunte'} → ${r.added.join(', ')}`);
+    });
+
+    res.json({
+      success: true,
+      dry_run: dryRun,
+      results,
+      nota: results.some(r => r.renamed.length)
+        ? 'Le colonne che sembrano rinominate non vengono toccate: correggi l\'intestazione a mano'
+        : undefined
+    });
+  } catch (error) {
+    console.error('❌ Errore migrazione schema:', error);
+    res.status(500).json({ error: 'Impossibile aggiornare lo schema dei fogli: ' + error.message });
+  }
+});
+
+// ==========================================
+// CHIAVI API: GESTIONE ADMIN
+// ==========================================
+app.get('/api/admin/api-keys', authenticateToken, requirePermission('system_config'), async (req, res) => {
+  console.log('🔄 GET /api/admin/api-keys ricevuta');
+  try {
+    res.json({ success: true, scopes: API_KEY_SCOPES, keys: await apiKeyStore.list() });
+  } catch (error) {
+    console.error('❌ Errore caricamento chiavi API:', error);
+    res.status(500).json({ error: 'Impossibile caricare le chiavi API' });
+  }
+});
+
+app.post('/api/admin/api-keys', authenticateToken, requirePermission('system_config'), async (req, res) => {
+  console.log('🔄 POST /api/admin/api-keys ricevuta da:', req.user.email);
+  try {
+    const { name, scopes, stores } = req.body ?? {};
+    if (typeof name !== 'string' || name.trim() === '') return res.status(400).json({ error: 'Nome chiave richiesto' });
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(sc => !API_KEY_SCOPES.includes(sc))) {
+      return res.status(400).json({ error: `Scope non validi (ammessi: ${API_KEY_SCOPES.join(', ')})` });
+    }
+    if (stores !== undefined && stores !== null &&
+        (!Array.isArray(stores) || stores.length === 0 || stores.some(st => !STORE_NAMES.includes(st)))) {
+      return res.status(400).json({ error: 'Punti vendita non validi' });
+    }
+
+    const { apiKey, key } = await apiKeyStore.create({
+      name: sanitizeText(name),
+      scopes: [...new Set(scopes)],
+      stores: stores ? [...new Set(stores)] : null,
+      createdBy: req.user.email
+    });
+    await audit(req, 'api_key.create', { target: { type: 'api_key', id: apiKey.id }, after: apiKey });
+
+    console.log('🔑 Chiave API creata:', apiKey.name, apiKey.prefix, apiKey.scopes);
+    res.status(201).json({
+      success: true,
+      api_key: apiKey,
+      key,
+      nota: 'Conserva la chiave ora: non potrà più essere mostrata'
+    });
+  } catch (error) {
+    console.error('❌ Errore creazione chiave API:', error);
+    res.status(500).json({ error: 'Impossibile creare la chiave API' });
+  }
+});
+
+app.delete('/api/admin/api-keys/:id', authenticateToken, requirePermission('system_config'), async (req, res) => {
+  const { id } = req.params;
+  console.log('🔄 DELETE /api/admin/api-keys/:id ricevuta per ID:', id);
+  try {
+    const apiKey = await apiKeyStore.revoke(id, req.user.email);
+    if (!apiKey) return res.status(404).json({ error: 'Chiave API non trovata' });
+
+    await audit(req, 'api_key.revoke', { target: { type: 'api_key', id }, details: { name: apiKey.name, prefix: apiKey.prefix } });
+    console.log('🚫 Chiave API revocata:', apiKey.name, apiKey.prefix);
+    res.json({ success: true, message: 'Chiave API revocata', api_key: apiKey });
+  } catch (error) {
+    console.error('❌ Errore revoca chiave API:', error);
+    res.status(500).json({ error: 'Impossibile revocare la chiave API' });
+  }
+});
+
+// ==========================================
+// AUDIT LOG: CONSULTAZIONE ED EXPORT CSV
+// ==========================================
+const AUDIT_CSV_COLUMNS = ['timestamp', 'action', 'actor_email', 'actor_role', 'target_type', 'target_id', 'store', 'ip', 'before', 'after', 'details'];
+
+// Le celle che iniziano con = + - @ vengono prefissate per evitare formule in Excel
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const auditEntriesToCsv = (entries) => [
+  AUDIT_CSV_COLUMNS.join(','),
+  ...entries.map(e => [
+    e.timestamp, e.action, e.actor?.email, e.actor?.role, e.target?.type, e.target?.id,
+    e.store, e.ip, e.before, e.after, e.details
+  ].map(csvCell).join(','))
+].join('\n');
+
+app.get('/api/admin/audit', authenticateToken, requirePermission('system_config'), async (req, res) => {
+  console.log('🔄 GET /api/admin/audit ricevuta');
+  try {
+    const param = (name) => (typeof req.query[name] === 'string' && req.query[name].trim() !== '' ? req.query[name].trim() : undefined);
+    const filters = { user: param('user'), store: param('store'), action: param('action'), dateFrom: param('dateFrom'), dateTo: param('dateTo') };
+
+    if ([filters.dateFrom, filters.dateTo].some(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+      return res.status(400).json({ error: 'Formato data non valido. Usa YYYY-MM-DD' });
+    }
+
+    const entries = await auditLog.query(filters);
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit_${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send('\uFEFF' + auditEntriesToCsv(entries));
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    res.json({ success: true, total: entries.length, limit, offset, entries: entries.slice(offset, offset + limit) });
+  } catch (error) {
+    console.error('❌ Errore consultazione audit:', error);
+    res.status(500).json({ error: 'Impossibile consultare il registro di audit' });
+  }
+});
+
+app.get('/api/admin/export', authenticateToken, requirePermission('reports'), async (req, res) => {
   console.log('🔄 GET /api/admin/export ricevuta');
   try {
     const { type, format } = req.query;
@@ -1914,34 +4737,129 @@ app.get('/api/admin/export', authenticateToken, requireAdmin, async (req, res) =
   }
 });
 
-app.get('/api/txt-files', authenticateToken, async (req, res) => {
+// ==========================================
+// FILE TXT: METADATI E ACCESSO PER PUNTO VENDITA
+// ==========================================
+const isValidTxtFilename = (filename) =>
+  filename.endsWith('.txt') && !filename.includes('..') && !filename.includes('/');
+
+// File generati prima dell'indice: metadati ricavati dal nome (numero_data_fornitore_codicePV[_ERRORI].txt)
+const parseTxtFilename = (fileName) => {
+  const m = fileName.replace(/(_ERRORI)?\.txt$/, '').match(/^(.+?)_(\d{4}-\d{2}-\d{2})_(.+)_([^_]+)$/);
+  const negozio = m ? negozi.find(n => n.codice === m[4]) : null;
+  return {
+    fileName,
+    invoiceId: null,
+    numero: m ? m[1] : null,
+    fornitore: m ? m[3].replace(/_/g, ' ') : null,
+    puntoVendita: negozio?.nome || null,
+    codicePV: m ? m[4] : null,
+    dataConsegna: m ? m[2] : null,
+    hasErrors: fileName.includes('_ERRORI'),
+    fromFilename: true
+  };
+};
+
+const loadTxtFiles = async () => {
+  const [files, indexed] = await Promise.all([fs.readdir(TXT_FILES_DIR), txtIndex.list()]);
+  const index = new Map(indexed.map(meta => [meta.fileName, meta]));
+
+  return Promise.all(files
+    .filter(file => file.endsWith('.txt') && !file.includes('.backup'))
+    .map(async (fileName) => {
+      const stats = await fs.stat(path.join(TXT_FILES_DIR, fileName));
+      return {
+        name: fileName,
+        size: stats.size,
+        created: stats.birthtime,
+        modified: stats.mtime,
+        meta: index.get(fileName) || parseTxtFilename(fileName)
+      };
+    }));
+};
+
+// Sposta in TXT_ARCHIVE_DIR tutti i TXT di una fattura (anche quelli delle consegne parziali).
+// Nell'archivio il nome è prefissato dal timestamp, per non sovrascrivere ritiri precedenti.
+// soloPerId: esclude i file indicizzati solo per numero (condiviso dalle fatture duplicate)
+const ritiraTxtFattura = async (invoice, { ritiratoDa, motivo, soloPerId = false }) => {
+  const files = (await loadTxtFiles()).filter(f => (f.meta.invoiceId
+    ? f.meta.invoiceId === String(invoice.id)
+    : !soloPerId && f.meta.numero === String(invoice.numero)));
+  if (files.length === 0) return [];
+
+  await fs.mkdir(TXT_ARCHIVE_DIR, { recursive: true });
+  const ritirati = [];
+  for (const file of files) {
+    const archiveName = `${Date.now()}_${file.name}`;
+    // copia + cancellazione: l'archivio può stare su un altro volume
+    await fs.copyFile(path.join(TXT_FILES_DIR, file.name), path.join(TXT_ARCHIVE_DIR, archiveName));
+    await fs.unlink(path.join(TXT_FILES_DIR, file.name));
+    ritirati.push(await txtIndex.withdraw(file.name, archiveName, { withdrawnBy: ritiratoDa, motivo }));
+    console.log(`📦 File TXT ritirato: ${file.name} → ${archiveName}`);
+  }
+  return ritirati;
+};
+
+// File visibili all'utente, filtrati per store, fornitore, numero e intervallo di date di consegna
+const loadAccessibleTxtFiles = async (req) => {
+  const { stores, error } = resolveStoreScope(req);
+  if (error) return { error };
+
+  const { fornitore, numero, dateFrom, dateTo } = req.query;
+  let files = (await loadTxtFiles()).filter(f => stores === null || stores.includes(f.meta.puntoVendita));
+
+  if (typeof fornitore === 'string' && fornitore.trim() !== '') {
+    const needle = fornitore.trim().toLowerCase();
+    files = files.filter(f => String(f.meta.fornitore || '').toLowerCase().includes(needle));
+  }
+  if (typeof numero === 'string' && numero.trim() !== '') {
+    files = files.filter(f => String(f.meta.numero || '') === numero.trim());
+  }
+  if (dateFrom) files = files.filter(f => f.meta.dataConsegna && f.meta.dataConsegna >= dateFrom);
+  if (dateTo) files = files.filter(f => f.meta.dataConsegna && f.meta.dataConsegna <= dateTo);
+
+  return { files };
+};
+
+// Come requireInvoiceAccess: 400 nome non valido, 404 file inesistente, 403 punto vendita non accessibile
+const requireTxtFileAccess = async (req, res, next) => {
+  const { filename } = req.params;
+  if (!isValidTxtFilename(filename)) return res.status(400).json({ error: 'Nome file non valido' });
+
   try {
-    const files = await fs.readdir(TXT_FILES_DIR);
-    const txtFiles = files.filter(file => file.endsWith('.txt') && !file.includes('.backup'));
+    const filePath = path.join(TXT_FILES_DIR, filename);
+    await fs.access(filePath);
 
-    const fileList = await Promise.all(
-      txtFiles.map(async (fileName) => {
-        const filePath = path.join(TXT_FILES_DIR, fileName);
-        const stats = await fs.stat(filePath);
-        return { name: fileName, size: stats.size, created: stats.birthtime, modified: stats.mtime };
-      })
-    );
+    const meta = (await txtIndex.get(filename)) || parseTxtFilename(filename);
+    if (!canAccessStore(req.user, meta.puntoVendita)) {
+      console.warn(`⚠️ Accesso negato al file TXT ${filename} per:`, req.user.email);
+      return res.status(403).json({ error: 'Non autorizzato per questo punto vendita' });
+    }
 
-    res.json({ success: true, files: fileList.sort((a, b) => new Date(b.created) - new Date(a.created)) });
+    req.txtFile = { filename, filePath, meta };
+    next();
+  } catch (error) {
+    if (error.code === 'ENOENT') return res.status(404).json({ error: 'File non trovato' });
+    console.error('❌ Errore verifica accesso file TXT:', error);
+    res.status(500).json({ error: 'Impossibile verificare l\'accesso al file TXT' });
+  }
+};
+
+app.get('/api/txt-files', allowApiKey('txt:read'), authenticateToken, async (req, res) => {
+  try {
+    const { files, error } = await loadAccessibleTxtFiles(req);
+    if (error) return res.status(403).json({ error });
+
+    res.json({ success: true, files: files.sort((a, b) => new Date(b.created) - new Date(a.created)) });
   } catch (error) {
     console.error('❌ Errore caricamento lista file TXT:', error);
     res.status(500).json({ error: 'Impossibile caricare la lista dei file TXT' });
   }
 });
 
-app.get('/api/txt-files/:filename', authenticateToken, async (req, res) => {
+app.get('/api/txt-files/:filename', allowApiKey('txt:read'), authenticateToken, requireTxtFileAccess, async (req, res) => {
   try {
-    const { filename } = req.params;
-    if (!filename.endsWith('.txt') || filename.includes('..') || filename.includes('/')) {
-      return res.status(400).json({ error: 'Nome file non valido' });
-    }
-    const filePath = path.join(TXT_FILES_DIR, filename);
-    await fs.access(filePath);
+    const { filename, filePath } = req.txtFile;
     const fileContent = await fs.readFile(filePath, 'utf8');
 
     res.setHeader('Content-Type', 'text/plain; charset=utf-8');
@@ -1954,16 +4872,9 @@ app.get('/api/txt-files/:filename', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/txt-files/:filename/content', authenticateToken, async (req, res) => {
+app.get('/api/txt-files/:filename/content', allowApiKey('txt:read'), authenticateToken, requireTxtFileAccess, async (req, res) => {
   try {
-    const { filename } = req.params;
-
-    if (!filename.endsWith('.txt') || filename.includes('..') || filename.includes('/')) {
-      return res.status(400).json({ error: 'Nome file non valido' });
-    }
-
-    const filePath = path.join(TXT_FILES_DIR, filename);
-    await fs.access(filePath);
+    const { filename, filePath, meta } = req.txtFile;
     const fileContent = await fs.readFile(filePath, 'utf8');
     const hasErrorSuffix = filename.includes('_ERRORI');
 
@@ -1973,6 +4884,7 @@ app.get('/api/txt-files/:filename/content', authenticateToken, async (req, res)
       content: fileContent,
       size: fileContent.length,
       hasErrors: hasErrorSuffix,
+      metadata: meta,
       errorDetails: null,
       storicoModifiche: null,
       isModified: false
@@ -1986,7 +4898,7 @@ app.get('/api/txt-files/:filename/content', authenticateToken, async (req, res)
     console.log(`   Filename pulito: ${cleanFilename}`);
     console.log(`   Parts array:`, parts);
 
-    let numeroDocumento = parts[0];
+    let numeroDocumento = meta.numero || parts[0];
 
     console.log(`   Numero documento estratto: ${numeroDocumento}`);
 
@@ -2116,23 +5028,24 @@ app.get('/api/txt-files/:filename/content', authenticateToken, async (req, res)
   }
 });
 
-app.put('/api/txt-files/:filename/content', authenticateToken, async (req, res) => {
+app.put('/api/txt-files/:filename/content', authenticateToken, requireTxtFileAccess, async (req, res) => {
   try {
-    const { filename } = req.params;
+    const { filename, filePath } = req.txtFile;
     const { content } = req.body;
-    if (!filename.endsWith('.txt') || filename.includes('..') || filename.includes('/')) {
-      return res.status(400).json({ error: 'Nome file non valido' });
-    }
     if (typeof content !== 'string') return res.status(400).json({ error: 'Contenuto deve essere una stringa' });
 
-    const filePath = path.join(TXT_FILES_DIR, filename);
-    await fs.access(filePath);
-
     const backupPath = path.join(TXT_FILES_DIR, `${filename}.backup.${Date.now()}`);
     const originalContent = await fs.readFile(filePath, 'utf8');
     await fs.writeFile(backupPath, originalContent, 'utf8');
 
     await fs.writeFile(filePath, content, 'utf8');
+    await audit(req, 'txt.update', {
+      target: { type: 'txt_file', id: filename },
+      store: req.txtFile.meta.puntoVendita,
+      before: { size: originalContent.length },
+      after: { size: content.length },
+      details: { backup: path.basename(backupPath) }
+    });
     res.json({ success: true, message: 'File aggiornato con successo', filename, size: content.length, backup_created: true });
   } catch (error) {
     if (error.code === 'ENOENT') return res.status(404).json({ error: 'File non trovato' });
@@ -2141,19 +5054,21 @@ app.put('/api/txt-files/:filename/content', authenticateToken, async (req, res)
   }
 });
 
-app.delete('/api/txt-files/:filename', authenticateToken, async (req, res) => {
+app.delete('/api/txt-files/:filename', authenticateToken, requireTxtFileAccess, async (req, res) => {
   try {
-    const { filename } = req.params;
-    if (!filename.endsWith('.txt') || filename.includes('..') || filename.includes('/')) {
-      return res.status(400).json({ error: 'Nome file non valido' });
-    }
-    const filePath = path.join(TXT_FILES_DIR, filename);
-    await fs.access(filePath);
+    const { filename, filePath } = req.txtFile;
 
     const backupPath = path.join(TXT_FILES_DIR, `DELETED_${filename}.backup.${Date.now()}`);
     const originalContent = await fs.readFile(filePath, 'utf8');
     await fs.writeFile(backupPath, originalContent, 'utf8');
     await fs.unlink(filePath);
+    await txtIndex.remove(filename);
+    await audit(req, 'txt.delete', {
+      target: { type: 'txt_file', id: filename },
+      store: req.txtFile.meta.puntoVendita,
+      before: req.txtFile.meta,
+      details: { backup: path.basename(backupPath) }
+    });
 
     res.json({ success: true, message: 'File eliminato con successo', filename, backup_created: true });
   } catch (error) {
@@ -2163,20 +5078,17 @@ app.delete('/api/txt-files/:filename', authenticateToken, async (req, res) => {
   }
 });
 
-app.get('/api/txt-files/download-by-date/:date', authenticateToken, async (req, res) => {
+app.get('/api/txt-files/download-by-date/:date', allowApiKey('txt:read'), authenticateToken, async (req, res) => {
   try {
     const { date } = req.params;
     if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
       return res.status(400).json({ error: 'Formato data non valido. Usa YYYY-MM-DD' });
     }
 
-    const allFiles = await fs.readdir(TXT_FILES_DIR);
-    const txtFiles = allFiles.filter(file => file.endsWith('.txt') && !file.includes('.backup'));
+    const { files, error } = await loadAccessibleTxtFiles(req);
+    if (error) return res.status(403).json({ error });
 
-    const filesForDate = txtFiles.filter(filename => {
-      const m = filename.match(/(\d{4}-\d{2}-\d{2})/);
-      return m && m[1] === date;
-    });
+    const filesForDate = files.filter(f => f.meta.dataConsegna === date).map(f => f.name);
 
     if (filesForDate.length === 0) {
       return res.status(404).json({ error: `Nessun file TXT trovato per la data ${date}` });
@@ -2208,29 +5120,20 @@ app.get('/api/txt-files/download-by-date/:date', authenticateToken, async (req,
   }
 });
 
-app.get('/api/txt-files/stats-by-date', authenticateToken, async (req, res) => {
+app.get('/api/txt-files/stats-by-date', allowApiKey('txt:read'), authenticateToken, async (req, res) => {
   try {
-    const allFiles = await fs.readdir(TXT_FILES_DIR);
-    const txtFiles = allFiles.filter(file => file.endsWith('.txt') && !file.includes('.backup'));
+    const { files: txtFiles, error } = await loadAccessibleTxtFiles(req);
+    if (error) return res.status(403).json({ error });
 
     const filesByDate = {};
-    for (const filename of txtFiles) {
-      const m = filename.match(/(\d{4}-\d{2}-\d{2})/);
-      if (!m) {
-        console.warn('⚠️ Nome file senza data riconoscibile:', filename);
+    for (const file of txtFiles) {
+      const datePart = file.meta.dataConsegna;
+      if (!datePart) {
+        console.warn('⚠️ File senza data di consegna riconoscibile:', file.name);
         continue;
       }
-      const datePart = m[1];
       if (!filesByDate[datePart]) filesByDate[datePart] = [];
-
-      const filePath = path.join(TXT_FILES_DIR, filename);
-      const stats = await fs.stat(filePath);
-      filesByDate[datePart].push({
-        name: filename,
-        size: stats.size,
-        created: stats.birthtime,
-        modified: stats.mtime
-      });
+      filesByDate[datePart].push(file);
     }
 
     const sortedDates = Object.keys(filesByDate).sort((a, b) => new Date(b) - new Date(a));
@@ -2247,6 +5150,71 @@ app.get('/api/txt-files/stats-by-date', authenticateToken, async (req, res) => {
     res.status(500).json({ error: 'Impossibile calcolare le statistiche: ' + error.message });
   }
 });
+
+// ==========================================
+// ARCHIVIO TXT RITIRATI (annullamento consegne)
+// ==========================================
+app.get('/api/admin/txt-archive', authenticateToken, requirePermission('view_all'), async (req, res) => {
+  console.log('🔄 GET /api/admin/txt-archive ricevuta');
+  try {
+    const files = (await txtIndex.listWithdrawn())
+      .sort((a, b) => String(b.withdrawnAt).localeCompare(String(a.withdrawnAt)));
+    res.json({ success: true, totale: files.length, files });
+  } catch (error) {
+    console.error('❌ Errore caricamento archivio TXT:', error);
+    res.status(500).json({ error: 'Impossibile caricare l\'archivio dei file ritirati' });
+  }
+});
+
+// Riporta un file ritirato in generated_txt_files (di nuovo esportabile)
+app.post('/api/admin/txt-archive/:archiveName/restore', authenticateToken, requirePermission('edit_all'), async (req, res) => {
+  const { archiveName } = req.params;
+  console.log('🔄 POST /api/admin/txt-archive/:archiveName/restore ricevuta per:', archiveName);
+  try {
+    if (!isValidTxtFilename(archiveName)) return res.status(400).json({ error: 'Nome file non valido' });
+
+    const entry = (await txtIndex.listWithdrawn()).find(f => f.archiveName === archiveName);
+    if (!entry) return res.status(404).json({ error: 'File non presente nell\'archivio' });
+
+    // Solo per una fattura di nuovo consegnata: altrimenti il gestionale importerebbe una consegna non registrata
+    if (!entry.invoiceId) {
+      return res.status(409).json({ error: 'File senza fattura associata: non può essere ripristinato' });
+    }
+    const result = await withInvoiceLock(entry.invoiceId, async () => {
+      const invoice = await storage.invoices.findById(entry.invoiceId);
+      if (!invoice || invoice.stato !== 'consegnato') {
+        return { conflict: `La fattura ${invoice ? `è in stato ${invoice.stato || 'pending'}` : 'non esiste più'}: il file può essere ripristinato solo se è consegnata` };
+      }
+
+      const attivo = (await loadTxtFiles()).find(f => f.meta.invoiceId === String(entry.invoiceId));
+      if (attivo) return { conflict: `La fattura ha già un file TXT attivo: ${attivo.name}` };
+      const target = path.join(TXT_FILES_DIR, entry.fileName);
+      if (await fs.access(target).then(() => true, () => false)) {
+        return { conflict: `Esiste già un file attivo con nome ${entry.fileName}` };
+      }
+
+      await fs.copyFile(path.join(TXT_ARCHIVE_DIR, archiveName), target);
+      await fs.unlink(path.join(TXT_ARCHIVE_DIR, archiveName));
+      return { meta: await txtIndex.restore(archiveName) };
+    });
+    if (result.conflict) return res.status(409).json({ error: result.conflict });
+    const { meta } = result;
+
+    await audit(req, 'txt.restore', {
+      target: { type: 'txt_file', id: entry.fileName },
+      store: entry.puntoVendita || null,
+      details: { archiveName, invoiceId: entry.invoiceId || null }
+    });
+
+    console.log(`✅ File TXT ripristinato: ${archiveName} → ${entry.fileName}`);
+    res.json({ success: true, message: 'File ripristinato', file: meta });
+  } catch (error) {
+    if (error.code === 'ENOENT') return res.status(404).json({ error: 'File non presente nell\'archivio' });
+    console.error('❌ Errore ripristino file TXT:', error);
+    res.status(500).json({ error: 'Impossibile ripristinare il file' });
+  }
+});
+
 // ==========================================
 // ✅ NUOVI ENDPOINT: GESTIONE SEGNALAZIONI ERRORI
 // ==========================================
@@ -2255,17 +5223,24 @@ app.get('/api/txt-files/stats-by-date', authenticateToken, async (req, res) => {
  * GET /api/admin/segnalazioni
  * Recupera tutte le fatture con errori non ancora segnalate ai fornitori
  */
-app.get('/api/admin/segnalazioni', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/segnalazioni', allowApiKey('segnalazioni:read'), authenticateToken, requirePermission('view_all'), async (req, res) => {
   try {
     console.log('🔄 GET /api/admin/segnalazioni ricevuta');
     
-    // Carica tutte le fatture
+    // Carica tutte le fatture e gli allegati
     const allInvoices = await loadAllSheetData();
+    const allegatiPerFattura = new Map();
+    (await attachmentStore.list()).forEach(a => {
+      allegatiPerFattura.set(a.invoiceId, [...(allegatiPerFattura.get(a.invoiceId) || []), a]);
+    });
     
     // Filtra solo fatture con errori consegnate
     const fattureConErrori = allInvoices.filter(invoice => {
-      // Deve essere consegnata
-      if (invoice.stato !== 'consegnato') return false;
+      // Le chiavi API limitate a dei punti vendita vedono solo le loro segnalazioni
+      if (!canAccessStore(req.user, invoice.punto_vendita)) return false;
+
+      // Deve essere consegnata (le contestazioni aperte sono segnalazioni da inviare)
+      if (!['consegnato', 'contestato'].includes(invoice.stato)) return false;
       
       // Deve avere errori
       const hasErrors = invoice.has_errors || false;
@@ -2310,9 +5285,14 @@ app.get('/api/admin/segnalazioni', authenticateToken, requireAdmin, async (req,
         errori_strutturati: erroriDettaglio,
         note_errori: noteErrori,
         num_prodotti_errati: numProdottiErrati,
-        stato_segnalazione: 'da_inviare', // Questo campo può essere esteso in futuro
+        categorie: contaCategorieErrori(erroriDettaglio),
+        stato_segnalazione: invoice.segnalazione_inviata ? 'inviata' : 'da_inviare',
+        segnalazione_inviata: invoice.segnalazione_inviata,
+        segnalazione_inviata_da: invoice.segnalazione_inviata_da,
         pdf_link: invoice.pdf_link,
-        testo_ddt: invoice.testo_ddt || ''
+        testo_ddt: invoice.testo_ddt || '',
+        // Solo link autenticati: i link pubblici firmati si creano all'invio della segnalazione
+        allegati: (allegatiPerFattura.get(String(invoice.id)) || []).map(formatAllegato)
       };
     });
     
@@ -2321,6 +5301,7 @@ app.get('/api/admin/segnalazioni', authenticateToken, requireAdmin, async (req,
     res.json({
       success: true,
       totale: segnalazioni.length,
+      riepilogo_categorie: segnalazioni.reduce((totale, s) => sommaCategorie(totale, s.categorie), {}),
       segnalazioni: segnalazioni.sort((a, b) => 
         new Date(b.data_consegna) - new Date(a.data_consegna)
       )
@@ -2338,7 +5319,7 @@ app.get('/api/admin/segnalazioni', authenticateToken, requireAdmin, async (req,
  * POST /api/admin/segnalazioni/:id/send
  * Invia segnalazione errore al fornitore tramite webhook n8n
  */
-app.post('/api/admin/segnalazioni/:id/send', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/segnalazioni/:id/send', allowApiKey('segnalazioni:write'), authenticateToken, requirePermission('edit_all'), async (req, res) => {
   try {
     const { id } = req.params;
     const { 
@@ -2362,13 +5343,15 @@ app.post('/api/admin/segnalazioni/:id/send', authenticateToken, requireAdmin, as
     }
     
     // Recupera dati fattura
-    const sheet = await getGoogleSheet();
-    const rows = await sheet.getRows();
-    const row = rows.find(r => r.get('id') === id.toString());
+    const record = await storage.invoices.findById(id);
     
-    if (!row) {
+    if (!record) {
       return res.status(404).json({ error: 'Fattura non trovata' });
     }
+    if (!canAccessStore(req.user, record.punto_vendita)) {
+      console.warn(`⚠️ Invio segnalazione negato per la fattura ${id}:`, req.user.email);
+      return res.status(403).json({ error: 'Non autorizzato per questo punto vendita' });
+    }
     
     // Prepara payload per n8n
     const emailPayload = {
@@ -2378,12 +5361,20 @@ app.post('/api/admin/segnalazioni/:id/send', authenticateToken, requireAdmin, as
       mittente: req.user.email,
       timestamp: new Date().toISOString(),
       fattura: {
-        id: row.get('id'),
-        numero: row.get('numero'),
-        fornitore: row.get('fornitore'),
-        punto_vendita: row.get('punto_vendita'),
-        data_consegna: row.get('data_consegna'),
-        pdf_link: row.get('pdf_link')
+        id: record.id,
+        numero: record.numero,
+        fornitore: record.fornitore,
+        punto_vendita: record.punto_vendita,
+        data_consegna: record.data_consegna,
+        pdf_link: record.pdf_link,
+        // Link firmati: il fornitore li apre senza credenziali
+        allegati: (await attachmentStore.listForInvoice(record.id)).map(a => ({
+          nome: a.originalName,
+          tipo: a.mimeType,
+          riga_numero: a.rigaNumero,
+          descrizione: a.descrizione,
+          link: linkPubblicoAllegato(req, a)
+        }))
       }
     };
     
@@ -2422,11 +5413,19 @@ app.post('/api/admin/segnalazioni/:id/send', authenticateToken, requireAdmin, as
     console.log('   Corpo (primi 100 char):', emailPayload.corpo.substring(0, 100));
     console.log('   Da:', emailPayload.mittente);
     console.log('   Fattura:', emailPayload.fattura.numero);
+    console.log('   Allegati:', emailPayload.fattura.allegati.length);
+    await audit(req, 'segnalazione.send', {
+      target: { type: 'invoice', id: record.id },
+      store: record.punto_vendita,
+      details: { destinatario: emailPayload.destinatario, oggetto: emailPayload.oggetto, simulato: true }
+    });
     
-    // Aggiorna stato segnalazione (opzionale: puoi aggiungere una nuova colonna al Google Sheet)
-    // row.set('segnalazione_inviata', new Date().toISOString());
-    // row.set('segnalazione_inviata_da', req.user.email);
-    // await row.save();
+    // Aggiorna stato segnalazione: colonne dichiarate in storage/schema.js,
+    // sui fogli esistenti vengono create da POST /api/admin/schema/migrate
+    await storage.invoices.update(id, {
+      segnalazione_inviata: new Date().toISOString(),
+      segnalazione_inviata_da: req.user.email
+    });
     
     res.json({
       success: true,
@@ -2453,6 +5452,7 @@ app.get('/api/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     version: '1.0.0',
+    storage: storage.backend,
     txt_files_dir: TXT_FILES_DIR
   });
 });
@@ -2480,13 +5480,23 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Endpoint non trovato' });
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server in esecuzione su 0.0.0.0:${PORT}`);
-  console.log(`📱 Accesso mobile: http://192.168.60.142:${PORT}`);
-  console.log(`🔐 JWT Secret configurato: ${!!process.env.JWT_SECRET}`);
-  console.log(`📊 Google Sheets ID: ${GOOGLE_SHEET_ID}`);
-  console.log(`🤖 Google Service Account configurato: ${!!GOOGLE_SERVICE_ACCOUNT_EMAIL}`);
-  console.log(`📁 Cartella file TXT: ${TXT_FILES_DIR}`);
-});
+// Avvio solo se eseguito direttamente: i test importano l'app senza aprire la porta
+if (require.main === module) {
+  avviaSollecitiGiornalieri();
+
+  storage.schema.check()
+    .then(logSchemaReport)
+    .catch(error => console.error('❌ Controllo schema all\'avvio non riuscito:', error.message));
+
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 Server in esecuzione su 0.0.0.0:${PORT}`);
+    console.log(`📱 Accesso mobile: http://192.168.60.142:${PORT}`);
+    console.log(`🔐 JWT Secret configurato: ${!!process.env.JWT_SECRET}`);
+    console.log(`🗄️ Storage backend: ${storage.backend}`);
+    console.log(`📊 Google Sheets ID: ${GOOGLE_SHEET_ID}`);
+    console.log(`🤖 Google Service Account configurato: ${!!GOOGLE_SERVICE_ACCOUNT_EMAIL}`);
+    console.log(`📁 Cartella file TXT: ${TXT_FILES_DIR}`);
+  });
+}
 
 module.exports = app;
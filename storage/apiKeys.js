@@ -0,0 +1,73 @@
+// storage/apiKeys.js - Chiavi API per client automatici (n8n, import ERP)
+//
+// La chiave in chiaro (fdv_<prefisso>_<segreto>) viene mostrata una sola volta
+// alla creazione; su disco resta solo l'hash SHA-256. Il prefisso serve a
+// riconoscere la chiave nei log e nell'elenco admin.
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+
+const KEY_PREFIX = 'fdv_';
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+const createApiKeyStore = ({ file }) => {
+  const db = createJsonFile(file, { keys: [] });
+
+  const toPublic = ({ hash, ...key }) => key;
+
+  const list = async () => (await db.read()).keys.map(toPublic);
+
+  const create = ({ name, scopes, stores = null, createdBy }) => db.update(doc => {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `${KEY_PREFIX}${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      prefix,
+      hash: hashKey(key),
+      scopes,
+      stores,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+      revokedBy: null
+    };
+    doc.keys.push(record);
+    return { apiKey: toPublic(record), key };
+  });
+
+  // null se la chiave non esiste o è revocata
+  const verify = async (key) => {
+    const hash = hashKey(key);
+    const record = (await db.read()).keys.find(k => k.hash === hash);
+    return record && !record.revokedAt ? toPublic(record) : null;
+  };
+
+  // L'ultimo utilizzo viene salvato al massimo una volta al minuto per chiave
+  const touch = (id, ip) => db.update(doc => {
+    const record = doc.keys.find(k => k.id === id);
+    if (!record) return;
+    if (record.lastUsedAt && Date.now() - Date.parse(record.lastUsedAt) < TOUCH_INTERVAL_MS) return;
+    record.lastUsedAt = new Date().toISOString();
+    record.lastUsedIp = ip || null;
+  });
+
+  const revoke = (id, revokedBy) => db.update(doc => {
+    const record = doc.keys.find(k => k.id === id);
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      record.revokedBy = revokedBy;
+    }
+    return toPublic(record);
+  });
+
+  return { list, create, verify, touch, revoke };
+};
+
+module.exports = { createApiKeyStore, isApiKey };
@@ -0,0 +1,74 @@
+// storage/attachments.js - Allegati (foto e PDF) delle segnalazioni di consegna
+//
+// I file stanno su disco in `dir` con un nome generato (id + estensione), mai con
+// il nome originale; i metadati (fattura, riga DDT, autore) sono in un indice JSON.
+// Il tipo del file viene verificato sui primi byte, non sul Content-Type dichiarato.
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createJsonFile } = require('./jsonFile');
+
+const FILE_TYPES = {
+  'image/jpeg': { ext: '.jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { ext: '.png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { ext: '.webp', matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  'image/heic': { ext: '.heic', matches: (b) => b.toString('latin1', 4, 8) === 'ftyp' && /^hei|^mif1|^heix/.test(b.toString('latin1', 8, 12)) },
+  'application/pdf': { ext: '.pdf', matches: (b) => b.toString('latin1', 0, 5) === '%PDF-' }
+};
+const ALLOWED_MIME_TYPES = Object.keys(FILE_TYPES);
+
+// Tipo reale del contenuto tra quelli ammessi, null se non riconosciuto
+const detectFileType = (buffer) => ALLOWED_MIME_TYPES.find(type => FILE_TYPES[type].matches(buffer)) || null;
+
+const createAttachmentStore = ({ dir, file }) => {
+  const db = createJsonFile(file, { attachments: [] });
+
+  const filePath = (attachment) => path.join(dir, attachment.storedName);
+
+  const list = async () => (await db.read()).attachments;
+
+  const listForInvoice = async (invoiceId) =>
+    (await db.read()).attachments.filter(a => a.invoiceId === String(invoiceId));
+
+  const get = async (id) => (await db.read()).attachments.find(a => a.id === id) || null;
+
+  // buffer già verificato con detectFileType; mimeType è il tipo rilevato
+  const save = async ({ invoiceId, rigaNumero = null, buffer, mimeType, originalName, descrizione = '', uploadedBy }) => {
+    const id = crypto.randomUUID();
+    const attachment = {
+      id,
+      invoiceId: String(invoiceId),
+      rigaNumero,
+      originalName: String(originalName || 'allegato').slice(0, 200),
+      mimeType,
+      size: buffer.length,
+      storedName: `${id}${FILE_TYPES[mimeType].ext}`,
+      descrizione,
+      uploadedBy,
+      uploadedAt: new Date().toISOString()
+    };
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(filePath(attachment), buffer);
+    await db.update(doc => { doc.attachments.push(attachment); });
+    return attachment;
+  };
+
+  const remove = async (id) => {
+    const removed = await db.update(doc => {
+      const attachment = doc.attachments.find(a => a.id === id);
+      if (!attachment) return null;
+      doc.attachments = doc.attachments.filter(a => a !== attachment);
+      return attachment;
+    });
+    if (removed) {
+      await fs.unlink(filePath(removed)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    return removed;
+  };
+
+  return { list, listForInvoice, get, save, remove, filePath };
+};
+
+module.exports = { createAttachmentStore, detectFileType, ALLOWED_MIME_TYPES };
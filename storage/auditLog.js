@@ -0,0 +1,63 @@
+// storage/auditLog.js - Registro di audit append-only (JSON Lines)
+//
+// Ogni riga è un evento immutabile: il file viene solo esteso con appendFile,
+// mai riscritto. Le letture scorrono l'intero file e filtrano in memoria.
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const createAuditLog = ({ file }) => {
+  let queue = Promise.resolve();
+
+  const append = (entry) => {
+    const record = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...entry };
+    const run = queue.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, JSON.stringify(record) + '\n', 'utf8');
+      return record;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const readAll = async () => {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return content.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        console.warn('⚠️ Riga di audit non leggibile ignorata');
+        return [];
+      }
+    });
+  };
+
+  // Filtri: user (email o id), store, action (esatta o prefisso "invoice."), dateFrom/dateTo (YYYY-MM-DD)
+  const query = async ({ user, store, action, dateFrom, dateTo } = {}) => {
+    let entries = await readAll();
+
+    if (user) {
+      const needle = String(user).toLowerCase();
+      entries = entries.filter(e =>
+        String(e.actor?.email || '').toLowerCase() === needle || String(e.actor?.id ?? '') === String(user));
+    }
+    if (store) entries = entries.filter(e => e.store === store);
+    if (action) {
+      entries = entries.filter(e => action.endsWith('.') ? e.action.startsWith(action) : e.action === action);
+    }
+    if (dateFrom) entries = entries.filter(e => e.timestamp.slice(0, 10) >= dateFrom);
+    if (dateTo) entries = entries.filter(e => e.timestamp.slice(0, 10) <= dateTo);
+
+    return entries.reverse();
+  };
+
+  return { append, query };
+};
+
+module.exports = { createAuditLog };
@@ -0,0 +1,88 @@
+// storage/cache.js - Cache in memoria con TTL per i repository
+//
+// Le letture condividono un'unica copia dei record (indicizzata per id) finché
+// non scade il TTL; ogni scrittura passa dal repository e invalida la cache.
+
+const withCache = (repository, { name, ttlMs, keyField = 'id' }) => {
+  let entry = null;      // { records, byId, loadedAt }
+  let inflight = null;   // Promise di caricamento condivisa tra richieste concorrenti
+  let generation = 0;    // Incrementato a ogni invalidazione
+  const stats = { hits: 0, misses: 0, invalidations: 0 };
+
+  const isFresh = () => entry && (Date.now() - entry.loadedAt) < ttlMs;
+
+  const load = () => {
+    if (isFresh()) {
+      stats.hits++;
+      return Promise.resolve(entry);
+    }
+    if (inflight) {
+      stats.hits++;
+      return inflight;
+    }
+
+    stats.misses++;
+    const startedAt = generation;
+    inflight = repository.list()
+      .then(list => {
+        const records = list.map(r => Object.freeze(r));
+        const byId = new Map();
+        records.forEach(r => {
+          const key = String(r[keyField]);
+          if (!byId.has(key)) byId.set(key, r);
+        });
+        const loaded = { records, byId, loadedAt: Date.now() };
+        // Se nel frattempo c'è stata una scrittura, il risultato è già vecchio
+        if (startedAt === generation) entry = loaded;
+        return loaded;
+      })
+      .finally(() => {
+        if (startedAt === generation) inflight = null;
+      });
+    return inflight;
+  };
+
+  const invalidate = () => {
+    generation++;
+    entry = null;
+    inflight = null;
+    stats.invalidations++;
+  };
+
+  const write = (fn) => async (...args) => {
+    try {
+      return await fn(...args);
+    } finally {
+      invalidate();
+    }
+  };
+
+  return {
+    ...repository,
+
+    list: async () => [...(await load()).records],
+
+    findById: async (id) => (await load()).byId.get(String(id)) || null,
+
+    create: write(repository.create),
+
+    createMany: write(repository.createMany),
+
+    update: write(repository.update),
+
+    updateMany: write(repository.updateMany),
+
+    invalidate,
+
+    cacheStats: () => ({
+      name,
+      ttlMs,
+      cached: Boolean(entry),
+      records: entry ? entry.records.length : 0,
+      ageMs: entry ? Date.now() - entry.loadedAt : null,
+      ...stats
+    })
+  };
+};
+
+module.exports = { withCache };
@@ -0,0 +1,32 @@
+// storage/duplicateReviews.js - Decisioni sui sospetti duplicati di fattura
+//
+// Ogni decisione riguarda un insieme preciso di fatture: "unite" (le copie sono
+// state archiviate come duplicato della principale) oppure "ignorate" (non sono
+// duplicati). Un gruppo ignorato torna nel report se si aggiunge una nuova fattura.
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+
+const createDuplicateReviewStore = ({ file }) => {
+  const db = createJsonFile(file, { reviews: [] });
+
+  const list = async () => (await db.read()).reviews;
+
+  const record = ({ chiave, fatture, esito, principale = null, motivo = '', decisoDa }) => db.update(doc => {
+    const review = {
+      id: crypto.randomUUID(),
+      chiave,
+      fatture: [...fatture].map(String).sort(),
+      esito,
+      principale,
+      motivo,
+      decisoDa,
+      decisoIl: new Date().toISOString()
+    };
+    doc.reviews.push(review);
+    return review;
+  });
+
+  return { list, record };
+};
+
+module.exports = { createDuplicateReviewStore };
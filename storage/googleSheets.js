@@ -0,0 +1,151 @@
+// storage/googleSheets.js - Backend Google Sheets (produzione)
+const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { SCHEMAS } = require('./schema');
+
+const tableNotFound = (title) => {
+  const error = new Error(`Foglio "${title}" non trovato`);
+  error.code = 'TABLE_NOT_FOUND';
+  return error;
+};
+
+const createGoogleSheetsBackend = ({ auth, sheetId, prodottiSheetId }) => {
+  const getDoc = async (docId = sheetId) => {
+    const doc = new GoogleSpreadsheet(docId, auth);
+    await doc.loadInfo();
+    return doc;
+  };
+
+  // Ogni tabella sa come raggiungere il proprio foglio
+  const resolvers = {
+    invoices: async () => (await getDoc()).sheetsByIndex[0],
+    movimentazioni: async () => {
+      const doc = await getDoc();
+      const sheet = doc.sheetsByTitle[SCHEMAS.movimentazioni.title];
+      if (!sheet) throw tableNotFound(SCHEMAS.movimentazioni.title);
+      return sheet;
+    },
+    prodotti: async () => {
+      const doc = await getDoc(prodottiSheetId);
+      const sheet = doc.sheetsByTitle?.['PRODOTTI'] || doc.sheetsByIndex[0];
+      if (!sheet) throw new Error('Tab prodotti non trovato');
+      return sheet;
+    }
+  };
+
+  const getSheet = async (name) => {
+    try {
+      const sheet = await resolvers[name]();
+      if (!sheet) throw new Error(`Foglio "${name}" non trovato`);
+      return sheet;
+    } catch (error) {
+      if (error.code === 'TABLE_NOT_FOUND') throw error;
+      console.error('Errore connessione Google Sheets:', error);
+      const wrapped = new Error('Impossibile connettersi a Google Sheets');
+      wrapped.cause = error;
+      throw wrapped;
+    }
+  };
+
+  const table = (name) => ({
+    list: async () => {
+      const sheet = await getSheet(name);
+      const rows = await sheet.getRows();
+      return rows.map(row => row.toObject());
+    },
+
+    insert: async (records) => {
+      const sheet = await getSheet(name);
+      await sheet.addRows(records);
+    },
+
+    update: async (keyField, keyValue, updates) => {
+      const sheet = await getSheet(name);
+      const rows = await sheet.getRows();
+      const row = rows.find(r => String(r.get(keyField)) === String(keyValue));
+      if (!row) return null;
+
+      Object.keys(updates).forEach(key => row.set(key, updates[key]));
+      await row.save();
+      return row.toObject();
+    },
+
+    // Più righe in un'unica scrittura: le celle modificate vengono salvate con
+    // un solo batchUpdate. items = [{ keyValue, updates }], risultato nello stesso ordine
+    updateMany: async (keyField, items) => {
+      const sheet = await getSheet(name);
+      const rows = await sheet.getRows();
+      const matched = items.map(({ keyValue, updates }) => ({
+        row: rows.find(r => String(r.get(keyField)) === String(keyValue)),
+        updates
+      }));
+      const found = matched.filter(m => m.row);
+      if (found.length === 0) return matched.map(() => null);
+
+      const headers = sheet.headerValues;
+      await sheet.loadCells(found.map(({ row }) => ({
+        startRowIndex: row.rowNumber - 1,
+        endRowIndex: row.rowNumber,
+        startColumnIndex: 0,
+        endColumnIndex: headers.length
+      })));
+
+      const cells = [];
+      found.forEach(({ row, updates }) => Object.keys(updates).forEach(key => {
+        const column = headers.indexOf(key);
+        if (column === -1) throw new Error(`Colonna "${key}" non presente nel foglio "${name}"`);
+        const cell = sheet.getCell(row.rowNumber - 1, column);
+        cell.value = updates[key];
+        cells.push(cell);
+      }));
+      await sheet.saveCells(cells);
+
+      return matched.map(({ row, updates }) => (row ? { ...row.toObject(), ...updates } : null));
+    },
+
+    // Intestazioni correnti, null se il foglio non esiste
+    getHeaders: async () => {
+      let sheet;
+      try {
+        sheet = await getSheet(name);
+      } catch (error) {
+        if (error.code === 'TABLE_NOT_FOUND') return null;
+        throw error;
+      }
+      try {
+        await sheet.loadHeaderRow();
+      } catch {
+        return []; // riga di intestazione vuota
+      }
+      return sheet.headerValues;
+    },
+
+    // Aggiunge colonne in coda alla riga di intestazione, allargando il foglio se serve
+    addColumns: async (columns) => {
+      const sheet = await getSheet(name);
+      let headers = [];
+      try {
+        await sheet.loadHeaderRow();
+        headers = sheet.headerValues;
+      } catch {
+        headers = [];
+      }
+      const next = [...headers, ...columns.filter(c => !headers.includes(c))];
+      if (sheet.columnCount < next.length) {
+        await sheet.resize({ rowCount: sheet.rowCount, columnCount: next.length });
+      }
+      await sheet.setHeaderRow(next);
+    },
+
+    createTable: async (headerValues) => {
+      const title = SCHEMAS[name]?.title;
+      if (!title) throw new Error(`Creazione automatica non supportata per "${name}"`);
+      console.log(`📄 Creazione foglio "${title}"...`);
+      const doc = await getDoc();
+      await doc.addSheet({ title, headerValues });
+    }
+  });
+
+  return { name: 'google', table };
+};
+
+module.exports = { createGoogleSheetsBackend };
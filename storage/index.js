@@ -0,0 +1,103 @@
+// storage/index.js - Repository fatture / movimentazioni / prodotti
+const { createGoogleSheetsBackend } = require('./googleSheets');
+const { createLocalJsonBackend } = require('./localJson');
+const { withCache } = require('./cache');
+const { createWriteQueue } = require('./writeQueue');
+const { SCHEMAS, createSchemaManager } = require('./schema');
+
+const createRepository = (table, keyField = 'id') => ({
+  list: () => table.list(),
+
+  findById: async (id) => {
+    const records = await table.list();
+    return records.find(r => String(r[keyField]) === String(id)) || null;
+  },
+
+  create: (record) => table.insert([record]),
+
+  createMany: (records) => table.insert(records),
+
+  // Restituisce il record aggiornato, oppure null se l'id non esiste
+  update: (id, updates) => table.update(keyField, id, updates),
+
+  // Aggiornamento di più record con una sola scrittura: items = [{ id, updates }]
+  updateMany: (items) => table.updateMany(keyField, items.map(({ id, updates }) => ({ keyValue: String(id), updates })))
+});
+
+// Se il foglio non esiste lo crea dallo schema dichiarato e ripete l'operazione
+const withAutoCreate = (table, ensureTable) => {
+  const retry = (fn) => async (...args) => {
+    try {
+      return await fn(...args);
+    } catch (error) {
+      if (error.code !== 'TABLE_NOT_FOUND' || !(await ensureTable())) throw error;
+      return fn(...args);
+    }
+  };
+  return {
+    ...table,
+    list: retry(table.list),
+    insert: retry(table.insert),
+    update: retry(table.update),
+    updateMany: retry(table.updateMany)
+  };
+};
+
+/**
+ * Crea il layer di storage in base alla configurazione.
+ * backend: 'google' (default) oppure 'local'
+ * cacheTtlMs: durata della cache in memoria delle letture (0 = disattivata)
+ * writeQueue: opzioni della coda persistente delle scritture (file, maxAttempts...), null = scritture dirette
+ */
+const createStorage = ({ backend = 'google', google = {}, local = {}, cacheTtlMs = 0, writeQueue = null } = {}) => {
+  let impl;
+  if (backend === 'local') {
+    impl = createLocalJsonBackend(local);
+  } else if (backend === 'google') {
+    impl = createGoogleSheetsBackend(google);
+  } else {
+    throw new Error(`Storage backend non supportato: ${backend}`);
+  }
+
+  const queue = writeQueue
+    ? createWriteQueue({ ...writeQueue, onApplied: (name) => repositories[name]?.invalidate?.() })
+    : null;
+
+  const rawTables = {
+    invoices: impl.table('invoices'),
+    movimentazioni: impl.table('movimentazioni'),
+    prodotti: impl.table('prodotti')
+  };
+
+  const schema = createSchemaManager({ tables: rawTables, schemas: SCHEMAS });
+
+  const repository = (name) => {
+    const base = SCHEMAS[name]?.autoCreate
+      ? withAutoCreate(rawTables[name], () => schema.ensureTable(name))
+      : rawTables[name];
+    const table = queue ? queue.wrap(name, base) : base;
+    const repo = createRepository(table);
+    return cacheTtlMs > 0 ? withCache(repo, { name, ttlMs: cacheTtlMs }) : repo;
+  };
+
+  const repositories = {
+    invoices: repository('invoices'),
+    movimentazioni: repository('movimentazioni'),
+    prodotti: repository('prodotti')
+  };
+
+  return {
+    backend: impl.name,
+    ...repositories,
+
+    invalidateCache: () => Object.values(repositories).forEach(repo => repo.invalidate?.()),
+
+    cacheStats: () => Object.values(repositories).map(repo => repo.cacheStats?.()).filter(Boolean),
+
+    writeQueue: queue,
+
+    schema
+  };
+};
+
+module.exports = { createStorage };
@@ -0,0 +1,41 @@
+// storage/jsonFile.js - Documento JSON su disco con scritture atomiche e serializzate
+const path = require('path');
+const fs = require('fs').promises;
+
+const createJsonFile = (filePath, defaultValue) => {
+  let queue = Promise.resolve();
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return structuredClone(defaultValue);
+      throw error;
+    }
+  };
+
+  const write = async (value) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(value, null, 2), 'utf8');
+    await fs.rename(tmpPath, filePath);
+  };
+
+  const exists = () => fs.access(filePath).then(() => true, () => false);
+
+  // mutate modifica il documento sul posto; il valore restituito viene inoltrato al chiamante
+  const update = (mutate) => {
+    const run = queue.then(async () => {
+      const doc = await read();
+      const result = await mutate(doc);
+      await write(doc);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return { read, update, exists };
+};
+
+module.exports = { createJsonFile };
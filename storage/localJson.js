@@ -0,0 +1,123 @@
+// storage/localJson.js - Backend su file JSON locali (staging, demo, test offline)
+const path = require('path');
+const fs = require('fs').promises;
+
+// Google Sheets restituisce sempre stringhe: manteniamo lo stesso formato
+const toSheetValues = (record) => {
+  const out = {};
+  Object.keys(record).forEach(key => {
+    const value = record[key];
+    out[key] = value === undefined || value === null ? '' : String(value);
+  });
+  return out;
+};
+
+const createLocalJsonBackend = ({ dir }) => {
+  const table = (name) => {
+    const filePath = path.join(dir, `${name}.json`);
+    const columnsPath = path.join(dir, `${name}.columns.json`);
+    let queue = Promise.resolve();
+
+    // Le scritture sono serializzate per non perdere aggiornamenti concorrenti
+    const serialize = (task) => {
+      const run = queue.then(task);
+      queue = run.catch(() => {});
+      return run;
+    };
+
+    const read = async () => {
+      try {
+        const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    };
+
+    const writeJson = async (target, value) => {
+      await fs.mkdir(dir, { recursive: true });
+      const tmpPath = `${target}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(value, null, 2), 'utf8');
+      await fs.rename(tmpPath, target);
+    };
+
+    const write = (records) => writeJson(filePath, records);
+
+    // Le colonne dichiarate restano valide anche quando la tabella è vuota
+    const readColumns = async () => {
+      try {
+        const parsed = JSON.parse(await fs.readFile(columnsPath, 'utf8'));
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    };
+
+    const exists = () => fs.access(filePath).then(() => true, () => false);
+
+    return {
+      list: async () => (await read()).map(record => ({ ...record })),
+
+      insert: (records) => serialize(async () => {
+        const all = await read();
+        all.push(...records.map(toSheetValues));
+        await write(all);
+      }),
+
+      update: (keyField, keyValue, updates) => serialize(async () => {
+        const all = await read();
+        const index = all.findIndex(r => String(r[keyField]) === String(keyValue));
+        if (index === -1) return null;
+
+        all[index] = { ...all[index], ...toSheetValues(updates) };
+        await write(all);
+        return { ...all[index] };
+      }),
+
+      updateMany: (keyField, items) => serialize(async () => {
+        const all = await read();
+        const results = items.map(({ keyValue, updates }) => {
+          const index = all.findIndex(r => String(r[keyField]) === String(keyValue));
+          if (index === -1) return null;
+          all[index] = { ...all[index], ...toSheetValues(updates) };
+          return { ...all[index] };
+        });
+        await write(all);
+        return results;
+      }),
+
+      getHeaders: async () => {
+        const columns = await readColumns();
+        if (columns === null && !(await exists())) return null;
+
+        const headers = [...(columns || [])];
+        (await read()).forEach(record => Object.keys(record).forEach(key => {
+          if (!headers.includes(key)) headers.push(key);
+        }));
+        return headers;
+      },
+
+      addColumns: (columns) => serialize(async () => {
+        const all = await read();
+        const current = (await readColumns()) || [...new Set(all.flatMap(record => Object.keys(record)))];
+        await writeJson(columnsPath, [...current, ...columns.filter(c => !current.includes(c))]);
+
+        all.forEach(record => columns.forEach(col => {
+          if (!(col in record)) record[col] = '';
+        }));
+        await write(all);
+      }),
+
+      createTable: (columns) => serialize(async () => {
+        await writeJson(columnsPath, columns);
+        if (!(await exists())) await write([]);
+      })
+    };
+  };
+
+  return { name: 'local', table };
+};
+
+module.exports = { createLocalJsonBackend };
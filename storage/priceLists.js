@@ -0,0 +1,95 @@
+// storage/priceLists.js - Listini prezzi concordati con i fornitori
+//
+// Ogni voce è il prezzo unitario di un codice prodotto di un fornitore in un
+// periodo di validità (validoAl null = senza scadenza). Per lo stesso fornitore
+// e codice i periodi non possono sovrapporsi, così il prezzo a una data è unico.
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+
+const normalizzaFornitore = (fornitore) => String(fornitore ?? '').trim().toLowerCase();
+
+const FINE_VALIDITA = '9999-12-31';
+
+const sovrapposte = (a, b) =>
+  a.validoDal <= (b.validoAl || FINE_VALIDITA) && b.validoDal <= (a.validoAl || FINE_VALIDITA);
+
+const createPriceListStore = ({ file, normalizzaCodice = (codice) => String(codice ?? '').trim() }) => {
+  const db = createJsonFile(file, { prices: [] });
+
+  const stessoProdotto = (a, b) =>
+    normalizzaFornitore(a.fornitore) === normalizzaFornitore(b.fornitore) &&
+    normalizzaCodice(a.codice) === normalizzaCodice(b.codice);
+
+  const assertValidPeriod = (entry) => {
+    if (entry.validoAl && entry.validoAl < entry.validoDal) {
+      const error = new Error(`Periodo di validità non valido per ${entry.codice}: valido_al precede valido_dal`);
+      error.code = 'PRICE_INVALID_PERIOD';
+      throw error;
+    }
+  };
+
+  const assertNoOverlap = (prices, entry) => {
+    assertValidPeriod(entry);
+    const conflict = prices.find(p => p.id !== entry.id && stessoProdotto(p, entry) && sovrapposte(p, entry));
+    if (conflict) {
+      const error = new Error(`Periodo sovrapposto a un prezzo esistente per ${entry.fornitore} / ${entry.codice}`);
+      error.code = 'PRICE_OVERLAP';
+      error.conflict = conflict;
+      throw error;
+    }
+  };
+
+  const list = async () => (await db.read()).prices;
+
+  const get = async (id) => (await db.read()).prices.find(p => p.id === id) || null;
+
+  // Inserimento atomico: se una voce è in conflitto non viene salvata nessuna
+  const createMany = (entries, createdBy) => db.update(doc => {
+    const now = new Date().toISOString();
+    const created = entries.map(entry => ({
+      id: crypto.randomUUID(),
+      ...entry,
+      validoAl: entry.validoAl || null,
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    }));
+    created.forEach((entry, index) => assertNoOverlap([...doc.prices, ...created.slice(0, index)], entry));
+    doc.prices.push(...created);
+    return created;
+  });
+
+  // null se la voce non esiste
+  const update = (id, changes) => db.update(doc => {
+    const entry = doc.prices.find(p => p.id === id);
+    if (!entry) return null;
+    const next = { ...entry, ...changes, updatedAt: new Date().toISOString() };
+    assertNoOverlap(doc.prices, next);
+    Object.assign(entry, next);
+    return entry;
+  });
+
+  const remove = (id) => db.update(doc => {
+    const entry = doc.prices.find(p => p.id === id);
+    if (!entry) return null;
+    doc.prices = doc.prices.filter(p => p !== entry);
+    return entry;
+  });
+
+  // Indice in memoria per i controlli su molte fatture: find(fornitore, codice, data) → voce o null
+  const snapshot = async () => {
+    const index = new Map();
+    (await list()).forEach(p => {
+      const key = `${normalizzaFornitore(p.fornitore)}|${normalizzaCodice(p.codice)}`;
+      index.set(key, [...(index.get(key) || []), p]);
+    });
+    return {
+      find: (fornitore, codice, data) => (index.get(`${normalizzaFornitore(fornitore)}|${normalizzaCodice(codice)}`) || [])
+        .find(p => p.validoDal <= data && data <= (p.validoAl || FINE_VALIDITA)) || null
+    };
+  };
+
+  return { list, get, createMany, update, remove, snapshot };
+};
+
+module.exports = { createPriceListStore };
@@ -0,0 +1,124 @@
+// storage/schema.js - Schema dichiarato dei fogli e migrazione delle colonne
+//
+// Ogni tabella dichiara le colonne attese. Il controllo confronta lo schema con
+// le intestazioni reali e segnala colonne mancanti, probabili rinomine e colonne
+// sconosciute; la migrazione aggiunge SOLO le colonne mancanti, in coda, senza
+// toccare né rinominare quelle esistenti.
+
+const SCHEMAS = {
+  invoices: {
+    title: null, // primo foglio del documento
+    autoCreate: false,
+    columns: [
+      'id', 'numero', 'fornitore', 'data_emissione', 'data_consegna', 'stato',
+      'punto_vendita', 'confermato_da', 'pdf_link', 'importo_totale', 'note', 'txt',
+      'codice_fornitore', 'testo_ddt', 'item_noconv', 'storico_modifiche', 'errori_consegna',
+      'segnalazione_inviata', 'segnalazione_inviata_da', 'consegne_parziali', 'duplicato_di'
+    ],
+    aliases: {
+      storico_modifiche: ['storico', 'cronologia'],
+      errori_consegna: ['errori'],
+      item_noconv: ['item_no_conv', 'noconv'],
+      importo_totale: ['importo', 'totale'],
+      punto_vendita: ['negozio', 'pv']
+    }
+  },
+  movimentazioni: {
+    title: 'Movimentazioni',
+    autoCreate: true,
+    columns: [
+      'id', 'data_movimento', 'timestamp', 'origine', 'codice_origine',
+      'prodotto', 'quantita', 'unita_misura', 'destinazione', 'codice_destinazione',
+      'stato', 'txt_content', 'txt_filename', 'creato_da', 'ddt_number'
+    ],
+    aliases: {
+      quantita: ['quantità', 'qta'],
+      unita_misura: ['um', 'uom'],
+      ddt_number: ['numero_ddt', 'ddt']
+    }
+  }
+};
+
+const normalizeHeader = (header) => String(header ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+const diffSchema = (schema, headers) => {
+  const present = headers.filter(Boolean);
+  const missing = schema.columns.filter(col => !present.includes(col));
+  const unknown = present.filter(h => !schema.columns.includes(h));
+
+  // Colonna mancante che corrisponde (a meno di maiuscole/spazi/alias) a una sconosciuta
+  const renamed = [];
+  missing.forEach(column => {
+    const candidates = [column, ...(schema.aliases?.[column] || [])].map(normalizeHeader);
+    const header = unknown.find(h => candidates.includes(normalizeHeader(h)) && !renamed.some(r => r.header === h));
+    if (header) renamed.push({ column, header });
+  });
+
+  return {
+    missing: missing.filter(col => !renamed.some(r => r.column === col)),
+    renamed,
+    extra: unknown.filter(h => !renamed.some(r => r.header === h))
+  };
+};
+
+const createSchemaManager = ({ tables, schemas = SCHEMAS }) => {
+  const checkTable = async (name) => {
+    const schema = schemas[name];
+    const headers = await tables[name].getHeaders();
+
+    if (headers === null) {
+      return { table: name, title: schema.title, exists: false, ok: false, missing: schema.columns, renamed: [], extra: [] };
+    }
+
+    const diff = diffSchema(schema, headers);
+    return {
+      table: name,
+      title: schema.title,
+      exists: true,
+      ok: diff.missing.length === 0 && diff.renamed.length === 0,
+      headers,
+      ...diff
+    };
+  };
+
+  const check = async () => Promise.all(Object.keys(schemas).map(checkTable));
+
+  // Crea il foglio se manca (solo per le tabelle con autoCreate)
+  const ensureTable = async (name) => {
+    const schema = schemas[name];
+    const headers = await tables[name].getHeaders();
+    if (headers !== null) return false;
+    if (!schema.autoCreate) throw new Error(`Tabella "${name}" non trovata`);
+    await tables[name].createTable(schema.columns);
+    return true;
+  };
+
+  const migrate = async ({ dryRun = false } = {}) => {
+    const results = [];
+    for (const name of Object.keys(schemas)) {
+      const report = await checkTable(name);
+      const result = { table: name, created: false, added: [], renamed: report.renamed };
+
+      if (!report.exists) {
+        if (!dryRun && schemas[name].autoCreate) {
+          await tables[name].createTable(schemas[name].columns);
+          result.created = true;
+        }
+      } else if (report.missing.length > 0) {
+        if (!dryRun) await tables[name].addColumns(report.missing);
+        result.added = report.missing;
+      }
+
+      results.push(result);
+    }
+    return results;
+  };
+
+  return { check, ensureTable, migrate };
+};
+
+module.exports = { SCHEMAS, diffSchema, createSchemaManager };
@@ -0,0 +1,144 @@
+// storage/sessions.js - Sessioni di login con refresh token a rotazione
+//
+// Il refresh token viene consegnato al client una sola volta e salvato solo come
+// hash SHA-256. A ogni /refresh il token cambia: riusare un token già ruotato
+// revoca l'intera sessione (probabile furto). La revoca è controllata anche
+// sugli access token tramite l'id di sessione (sid) contenuto nel JWT.
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+
+const MAX_ROTATED_HASHES = 20;
+const PRUNE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const createSessionStore = ({ file, refreshTtlMs }) => {
+  const db = createJsonFile(file, { sessions: [], userRevocations: {} });
+  let snapshot = { sessions: [], userRevocations: {} };
+  const ready = db.read()
+    .then(doc => { snapshot = doc; })
+    .catch(error => console.error('❌ Errore caricamento sessioni:', error.message));
+
+  const prune = (doc) => {
+    const limit = Date.now() - PRUNE_AFTER_MS;
+    doc.sessions = doc.sessions.filter(s => {
+      const endedAt = s.revokedAt ? Date.parse(s.revokedAt) : Date.parse(s.expiresAt);
+      return endedAt > limit;
+    });
+  };
+
+  const mutate = async (fn) => {
+    await ready;
+    return db.update(doc => {
+      const result = fn(doc);
+      prune(doc);
+      snapshot = doc;
+      return result;
+    });
+  };
+
+  const newRefreshToken = () => crypto.randomBytes(32).toString('hex');
+
+  const create = ({ userId, ip, userAgent }) => mutate(doc => {
+    const refreshToken = newRefreshToken();
+    const now = new Date();
+    const session = {
+      id: crypto.randomUUID(),
+      userId,
+      refreshHash: hashToken(refreshToken),
+      rotatedHashes: [],
+      createdAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + refreshTtlMs).toISOString(),
+      revokedAt: null,
+      revokedReason: null,
+      ip: ip || '',
+      userAgent: String(userAgent || '').slice(0, 200)
+    };
+    doc.sessions.push(session);
+    return { session, refreshToken };
+  });
+
+  // Restituisce { session, refreshToken } oppure { error }
+  const rotate = (refreshToken) => mutate(doc => {
+    const hash = hashToken(refreshToken);
+    const session = doc.sessions.find(s => s.refreshHash === hash);
+
+    if (!session) {
+      const reused = doc.sessions.find(s => s.rotatedHashes.includes(hash));
+      if (reused && !reused.revokedAt) {
+        reused.revokedAt = new Date().toISOString();
+        reused.revokedReason = 'refresh_token_riutilizzato';
+        return { error: 'reused', session: reused };
+      }
+      return { error: 'invalid' };
+    }
+    if (session.revokedAt) return { error: 'revoked', session };
+    if (Date.parse(session.expiresAt) <= Date.now()) return { error: 'expired', session };
+
+    const nextToken = newRefreshToken();
+    const now = new Date();
+    session.rotatedHashes = [...session.rotatedHashes, session.refreshHash].slice(-MAX_ROTATED_HASHES);
+    session.refreshHash = hashToken(nextToken);
+    session.lastUsedAt = now.toISOString();
+    session.expiresAt = new Date(now.getTime() + refreshTtlMs).toISOString();
+    return { session, refreshToken: nextToken };
+  });
+
+  const revoke = (sessionId, reason = 'logout') => mutate(doc => {
+    const session = doc.sessions.find(s => s.id === sessionId);
+    if (!session || session.revokedAt) return false;
+    session.revokedAt = new Date().toISOString();
+    session.revokedReason = reason;
+    return true;
+  });
+
+  const revokeByRefreshToken = (refreshToken, reason = 'logout') => mutate(doc => {
+    const session = doc.sessions.find(s => s.refreshHash === hashToken(refreshToken));
+    if (!session || session.revokedAt) return false;
+    session.revokedAt = new Date().toISOString();
+    session.revokedReason = reason;
+    return true;
+  });
+
+  // Revoca tutte le sessioni dell'utente e invalida gli access token emessi prima di ora
+  const revokeAllForUser = (userId, reason = 'revoca_admin', { exceptSessionId = null } = {}) => mutate(doc => {
+    const now = new Date().toISOString();
+    let count = 0;
+    doc.sessions.forEach(s => {
+      if (String(s.userId) === String(userId) && !s.revokedAt && s.id !== exceptSessionId) {
+        s.revokedAt = now;
+        s.revokedReason = reason;
+        count++;
+      }
+    });
+    if (!exceptSessionId) doc.userRevocations[String(userId)] = now;
+    return count;
+  });
+
+  // iatMs = emissione al millisecondo; i token senza iatMs (solo iat, in secondi) emessi
+  // nello stesso secondo della revoca sono considerati revocati
+  const isAccessTokenRevoked = async ({ sid, userId, iat, iatMs }) => {
+    await ready;
+    const revokedAt = snapshot.userRevocations[String(userId)];
+    const issuedAt = iatMs || (iat ? iat * 1000 : null);
+    if (revokedAt && issuedAt && issuedAt <= Date.parse(revokedAt)) return true;
+    if (!sid) return false;
+    const session = snapshot.sessions.find(s => s.id === sid);
+    return !session || Boolean(session.revokedAt);
+  };
+
+  const listForUser = async (userId) => {
+    await ready;
+    return snapshot.sessions
+      .filter(s => String(s.userId) === String(userId))
+      .map(({ refreshHash, rotatedHashes, ...s }) => ({
+        ...s,
+        active: !s.revokedAt && Date.parse(s.expiresAt) > Date.now()
+      }));
+  };
+
+  return { create, rotate, revoke, revokeByRefreshToken, revokeAllForUser, isAccessTokenRevoked, listForUser };
+};
+
+module.exports = { createSessionStore };
@@ -0,0 +1,44 @@
+// storage/slaRules.js - Tempi massimi di conferma delle fatture (SLA) e stato dei solleciti
+//
+// Una regola indica dopo quanti giorni dall'emissione una fattura ancora pending è
+// scaduta (`giorni`, sollecito al punto vendita) e dopo quanti va segnalata anche
+// all'ufficio (`escalationGiorni`). `predefinito` null = valori da variabili d'ambiente;
+// le regole in `fornitori` valgono per il singolo fornitore.
+const { createJsonFile } = require('./jsonFile');
+
+const createSlaStore = ({ file }) => {
+  const db = createJsonFile(file, { predefinito: null, fornitori: [], ultimoSollecito: null });
+
+  const read = () => db.read();
+
+  const replace = ({ predefinito, fornitori, aggiornatoDa }) => db.update(doc => {
+    doc.predefinito = predefinito;
+    doc.fornitori = fornitori;
+    doc.aggiornatoDa = aggiornatoDa;
+    doc.aggiornatoIl = new Date().toISOString();
+    return doc;
+  });
+
+  // false se il sollecito del giorno è già stato avviato (riavvio del server o più istanze)
+  const claimRun = (giorno) => db.update(doc => {
+    if (doc.ultimoSollecito?.giorno === giorno && !doc.ultimoSollecito.errore) return false;
+    doc.ultimoSollecito = { giorno, avviatoIl: new Date().toISOString() };
+    return true;
+  });
+
+  const recordRun = (esito) => db.update(doc => {
+    doc.ultimoSollecito = { ...doc.ultimoSollecito, ...esito, completatoIl: new Date().toISOString() };
+    return doc.ultimoSollecito;
+  });
+
+  // Invio non riuscito: il giorno resta libero e il controllo successivo riprova
+  const releaseRun = (giorno, errore) => db.update(doc => {
+    if (doc.ultimoSollecito?.giorno !== giorno) return false;
+    doc.ultimoSollecito = { ...doc.ultimoSollecito, errore, fallitoIl: new Date().toISOString() };
+    return true;
+  });
+
+  return { read, replace, claimRun, releaseRun, recordRun };
+};
+
+module.exports = { createSlaStore };
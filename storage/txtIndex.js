@@ -0,0 +1,58 @@
+// storage/txtIndex.js - Indice dei metadati dei file TXT generati
+//
+// Ogni file TXT ha un record con fattura, punto vendita, fornitore, data di
+// consegna e flag errori: serve a filtrare gli elenchi e a limitare l'accesso
+// per punto vendita senza dover ricostruire i dati dal nome del file.
+// I file ritirati (annullamento di una consegna) passano in `withdrawn`, indicizzati
+// per nome nell'archivio, finché non vengono ripristinati.
+const { createJsonFile } = require('./jsonFile');
+
+const createTxtIndex = ({ file }) => {
+  const db = createJsonFile(file, { files: {} });
+
+  const list = async () => Object.values((await db.read()).files);
+
+  const get = async (fileName) => (await db.read()).files[fileName] || null;
+
+  const upsert = (meta) => db.update(doc => {
+    const now = new Date().toISOString();
+    const previous = doc.files[meta.fileName];
+    doc.files[meta.fileName] = {
+      ...previous,
+      ...meta,
+      createdAt: previous?.createdAt || now,
+      updatedAt: now
+    };
+    return doc.files[meta.fileName];
+  });
+
+  const remove = (fileName) => db.update(doc => {
+    if (!doc.files[fileName]) return false;
+    delete doc.files[fileName];
+    return true;
+  });
+
+  const listWithdrawn = async () => Object.values((await db.read()).withdrawn || {});
+
+  const withdraw = (fileName, archiveName, info = {}) => db.update(doc => {
+    doc.withdrawn = doc.withdrawn || {};
+    const meta = doc.files[fileName] || { fileName };
+    delete doc.files[fileName];
+    doc.withdrawn[archiveName] = { ...meta, ...info, archiveName, withdrawnAt: new Date().toISOString() };
+    return doc.withdrawn[archiveName];
+  });
+
+  // Rimette i metadati tra i file attivi; null se l'archivio non contiene il file
+  const restore = (archiveName) => db.update(doc => {
+    const entry = doc.withdrawn?.[archiveName];
+    if (!entry) return null;
+    delete doc.withdrawn[archiveName];
+    const { archiveName: _archiveName, withdrawnAt, withdrawnBy, motivo, ...meta } = entry;
+    doc.files[meta.fileName] = { ...meta, updatedAt: new Date().toISOString() };
+    return doc.files[meta.fileName];
+  });
+
+  return { list, get, upsert, remove, listWithdrawn, withdraw, restore };
+};
+
+module.exports = { createTxtIndex };
@@ -0,0 +1,102 @@
+// storage/users.js - Anagrafica utenti persistente con password bcrypt
+const bcrypt = require('bcryptjs');
+const { createJsonFile } = require('./jsonFile');
+
+const BCRYPT_ROUNDS = 10;
+
+const createUserStore = ({ file, seed = [] }) => {
+  const db = createJsonFile(file, { users: [] });
+  let ready = null;
+
+  // Al primo avvio l'anagrafica viene inizializzata con gli utenti di default
+  const init = () => {
+    if (!ready) {
+      ready = (async () => {
+        if (await db.exists()) return;
+        const users = await Promise.all(seed.map(async ({ password, ...user }) => ({
+          ...user,
+          passwordHash: password ? await bcrypt.hash(password, BCRYPT_ROUNDS) : null,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        })));
+        await db.update(doc => { doc.users = users; });
+        console.log(`👥 Anagrafica utenti inizializzata con ${users.length} utenti`);
+      })();
+    }
+    return ready;
+  };
+
+  const list = async () => {
+    await init();
+    return (await db.read()).users;
+  };
+
+  const findById = async (id) => (await list()).find(u => String(u.id) === String(id)) || null;
+
+  const findByEmail = async (email) => {
+    const needle = String(email || '').trim().toLowerCase();
+    return (await list()).find(u => String(u.email || '').toLowerCase() === needle) || null;
+  };
+
+  const verifyPassword = async (user, password) => {
+    if (!user?.passwordHash || typeof password !== 'string') return false;
+    return bcrypt.compare(password, user.passwordHash);
+  };
+
+  const create = async ({ password, ...data }) => {
+    await init();
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    return db.update(doc => {
+      if (doc.users.some(u => String(u.email).toLowerCase() === String(data.email).toLowerCase())) {
+        const error = new Error('Email già registrata');
+        error.code = 'DUPLICATE_EMAIL';
+        throw error;
+      }
+      const id = data.id ?? Math.max(0, ...doc.users.map(u => Number(u.id) || 0)) + 1;
+      if (doc.users.some(u => String(u.id) === String(id))) {
+        const error = new Error('ID utente già esistente');
+        error.code = 'DUPLICATE_ID';
+        throw error;
+      }
+      const user = {
+        ...data,
+        id,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      doc.users.push(user);
+      return user;
+    });
+  };
+
+  // changes.password (in chiaro) viene trasformata in hash; null se l'utente non esiste
+  const update = async (id, { password, ...changes }) => {
+    await init();
+    const passwordHash = password ? await bcrypt.hash(password, BCRYPT_ROUNDS) : undefined;
+    return db.update(doc => {
+      const user = doc.users.find(u => String(u.id) === String(id));
+      if (!user) return null;
+      if (changes.email && doc.users.some(u => u !== user && String(u.email).toLowerCase() === String(changes.email).toLowerCase())) {
+        const error = new Error('Email già registrata');
+        error.code = 'DUPLICATE_EMAIL';
+        throw error;
+      }
+      Object.assign(user, changes, passwordHash ? { passwordHash } : {}, { updatedAt: new Date().toISOString() });
+      return user;
+    });
+  };
+
+  const remove = async (id) => {
+    await init();
+    return db.update(doc => {
+      const before = doc.users.length;
+      doc.users = doc.users.filter(u => String(u.id) !== String(id));
+      return doc.users.length < before;
+    });
+  };
+
+  return { init, list, findById, findByEmail, verifyPassword, create, update, remove };
+};
+
+module.exports = { createUserStore };
@@ -0,0 +1,256 @@
+// storage/writeQueue.js - Coda persistente delle scritture con retry e backoff
+//
+// Ogni scrittura (insert / update / updateMany) diventa un'operazione serializzabile salvata
+// su disco. Le operazioni di uno stesso foglio vengono eseguite in ordine FIFO;
+// in caso di errori temporanei (429, 5xx, rete) restano in coda e vengono
+// ritentate con backoff esponenziale, anche dopo un riavvio del server.
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+const isRetryableError = (error) => {
+  for (let e = error; e; e = e.cause) {
+    const status = e.response?.status ?? e.status ?? e.code;
+    if (status === 429 || (typeof status === 'number' && status >= 500)) return true;
+    if (RETRYABLE_CODES.includes(e.code)) return true;
+    if (/quota|rate limit|timeout|socket hang up/i.test(e.message || '')) return true;
+  }
+  return false;
+};
+
+const createWriteQueue = ({
+  file,
+  baseDelayMs = 1000,
+  maxDelayMs = 5 * 60 * 1000,
+  maxAttempts = 20,
+  onApplied = () => {}
+}) => {
+  const tables = new Map();   // nome tabella -> tabella reale
+  const workers = new Map();  // nome tabella -> { running, timer }
+  const waiters = new Map();  // id operazione -> { resolve, reject }
+  let state = { pending: [], failed: [] };
+  let saving = Promise.resolve();
+  let loaded = null;
+
+  const persist = () => {
+    const snapshot = JSON.stringify(state, null, 2);
+    saving = saving.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, snapshot, 'utf8');
+      await fs.rename(`${file}.tmp`, file);
+    });
+    return saving;
+  };
+
+  const load = () => {
+    if (!loaded) {
+      loaded = fs.readFile(file, 'utf8')
+        .then(content => {
+          const parsed = JSON.parse(content);
+          state = {
+            pending: Array.isArray(parsed.pending) ? parsed.pending : [],
+            failed: Array.isArray(parsed.failed) ? parsed.failed : []
+          };
+          if (state.pending.length > 0) {
+            console.log(`📮 Coda scritture: ${state.pending.length} operazioni in sospeso ripristinate`);
+          }
+        })
+        .catch(error => {
+          if (error.code !== 'ENOENT') console.error('❌ Errore lettura coda scritture:', error.message);
+        });
+    }
+    return loaded;
+  };
+
+  const backoff = (attempts) => Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(attempts - 1, 0));
+
+  const execute = (op) => {
+    const table = tables.get(op.table);
+    if (!table) throw new Error(`Tabella "${op.table}" non registrata nella coda`);
+    if (op.type === 'insert') return table.insert(op.records);
+    if (op.type === 'updateMany') return table.updateMany(op.keyField, op.items);
+    return table.update(op.keyField, op.keyValue, op.updates);
+  };
+
+  const settle = (op, method, value) => {
+    const waiter = waiters.get(op.id);
+    if (!waiter) return;
+    waiters.delete(op.id);
+    waiter[method](value);
+  };
+
+  const queuedResult = (op) => {
+    if (op.type === 'insert') return { queued: true, operationId: op.id };
+    if (op.type === 'updateMany') {
+      return op.items.map(item => ({ ...item.updates, [op.keyField]: item.keyValue, _pending_write: op.id }));
+    }
+    return { ...op.updates, [op.keyField]: op.keyValue, _pending_write: op.id };
+  };
+
+  const schedule = (tableName, delay) => {
+    const worker = workers.get(tableName);
+    clearTimeout(worker.timer);
+    worker.timer = setTimeout(() => run(tableName), delay);
+    worker.timer.unref?.();
+  };
+
+  const run = async (tableName) => {
+    await load();
+    if (!workers.has(tableName)) workers.set(tableName, { running: false, timer: null });
+    const worker = workers.get(tableName);
+    if (worker.running) return;
+    worker.running = true;
+
+    try {
+      for (;;) {
+        const op = state.pending.find(o => o.table === tableName);
+        if (!op) return;
+
+        const wait = op.nextAttemptAt - Date.now();
+        if (wait > 0) {
+          // Chi è in attesa dietro a un'operazione bloccata riceve subito l'esito "in coda"
+          state.pending.filter(o => o.table === tableName).forEach(o => settle(o, 'resolve', queuedResult(o)));
+          schedule(tableName, wait);
+          return;
+        }
+
+        try {
+          op.attempts++;
+          const result = await execute(op);
+          state.pending = state.pending.filter(o => o.id !== op.id);
+          await persist();
+          if (op.attempts > 1) console.log(`✅ Coda scritture: operazione ${op.id} applicata dopo ${op.attempts} tentativi`);
+          onApplied(op.table);
+          settle(op, 'resolve', result);
+        } catch (error) {
+          op.lastError = error.message;
+          op.lastAttemptAt = new Date().toISOString();
+
+          if (isRetryableError(error) && op.attempts < maxAttempts) {
+            op.nextAttemptAt = Date.now() + backoff(op.attempts);
+            console.warn(`⚠️ Coda scritture: ${op.table}/${op.type} fallita (tentativo ${op.attempts}), nuovo tentativo tra ${Math.round(backoff(op.attempts) / 1000)}s`);
+          } else {
+            state.pending = state.pending.filter(o => o.id !== op.id);
+            if (waiters.has(op.id)) {
+              settle(op, 'reject', error);
+            } else {
+              // Nessuno aspetta più la risposta: l'operazione resta visibile agli admin
+              state.failed.push({ ...op, failedAt: new Date().toISOString() });
+              console.error(`❌ Coda scritture: operazione ${op.id} scartata dopo ${op.attempts} tentativi:`, error.message);
+            }
+          }
+          await persist();
+        }
+      }
+    } finally {
+      worker.running = false;
+    }
+  };
+
+  const submit = async (op) => {
+    await load();
+    const entry = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      ...op
+    };
+    state.pending.push(entry);
+    await persist();
+
+    const result = new Promise((resolve, reject) => waiters.set(entry.id, { resolve, reject }));
+    run(op.table);
+    return result;
+  };
+
+  // Le letture vedono anche le scritture ancora in coda
+  const overlay = (tableName, records) => {
+    const ops = state.pending.filter(o => o.table === tableName);
+    if (ops.length === 0) return records;
+
+    const out = records.map(r => ({ ...r }));
+    ops.forEach(op => {
+      if (op.type === 'insert') {
+        out.push(...op.records.map(r => ({ ...r })));
+      } else {
+        const items = op.type === 'updateMany' ? op.items : [{ keyValue: op.keyValue, updates: op.updates }];
+        items.forEach(item => {
+          const target = out.find(r => String(r[op.keyField]) === String(item.keyValue));
+          if (target) Object.assign(target, item.updates);
+        });
+      }
+    });
+    return out;
+  };
+
+  const wrap = (tableName, table) => {
+    tables.set(tableName, table);
+    load().then(() => {
+      if (state.pending.some(o => o.table === tableName)) run(tableName);
+    });
+
+    return {
+      ...table,
+
+      list: async () => {
+        await load();
+        return overlay(tableName, await table.list());
+      },
+
+      insert: (records) => submit({ table: tableName, type: 'insert', records }),
+
+      update: (keyField, keyValue, updates) => submit({ table: tableName, type: 'update', keyField, keyValue: String(keyValue), updates }),
+
+      updateMany: (keyField, items) => submit({
+        table: tableName,
+        type: 'updateMany',
+        keyField,
+        items: items.map(({ keyValue, updates }) => ({ keyValue: String(keyValue), updates }))
+      })
+    };
+  };
+
+  const describeOperation = ({ records, updates, items, ...op }) => ({
+    ...op,
+    righe: records ? records.length : items ? items.length : undefined,
+    campi: updates ? Object.keys(updates) : items ? [...new Set(items.flatMap(i => Object.keys(i.updates)))] : undefined
+  });
+
+  const status = () => ({
+    pending: state.pending.map(describeOperation),
+    failed: state.failed.map(describeOperation)
+  });
+
+  // Rimette in coda le operazioni fallite e forza un nuovo tentativo immediato
+  const retry = async (operationId = null) => {
+    await load();
+    const selected = state.failed.filter(o => !operationId || o.id === operationId);
+    state.failed = state.failed.filter(o => !selected.includes(o));
+    selected.forEach(({ failedAt, ...op }) => state.pending.push({ ...op, attempts: 0 }));
+    state.pending.forEach(o => { if (!operationId || o.id === operationId) o.nextAttemptAt = 0; });
+    await persist();
+    new Set(state.pending.map(o => o.table)).forEach(name => run(name));
+    return selected.length;
+  };
+
+  const discard = async (operationId) => {
+    await load();
+    const before = state.pending.length + state.failed.length;
+    state.pending = state.pending.filter(o => o.id !== operationId);
+    state.failed = state.failed.filter(o => o.id !== operationId);
+    const removed = before - (state.pending.length + state.failed.length);
+    if (removed > 0) {
+      await persist();
+      settle({ id: operationId }, 'reject', new Error('Operazione scartata'));
+    }
+    return removed > 0;
+  };
+
+  return { wrap, status, retry, discard };
+};
+
+module.exports = { createWriteQueue, isRetryableError };
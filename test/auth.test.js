@@ -0,0 +1,52 @@
+// test/auth.test.js - Revoca delle sessioni e riuso dei refresh token sulle route di autenticazione
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { avviaApp } = require('./helpers/server');
+
+let ctx;
+
+before(() => {
+  ctx = avviaApp({
+    invoices: [{ id: '1', numero: 'FT001', fornitore: 'Marr', stato: 'pending', punto_vendita: 'FDV Genova Castello' }]
+  });
+});
+
+after(() => ctx.chiudi());
+
+const leggiFattura = (token) => request(ctx.app).get('/api/invoices/1').set('Authorization', `Bearer ${token}`);
+
+test('access token emesso prima di revoke-sessions: 401 SESSION_REVOKED, il nuovo login funziona', async () => {
+  const { token, user } = await ctx.login('genova');
+  assert.strictEqual((await leggiFattura(token)).status, 200);
+
+  await request(ctx.app)
+    .post(`/api/admin/users/${user.id}/revoke-sessions`)
+    .set('Authorization', `Bearer ${await ctx.token('admin')}`)
+    .expect(200);
+
+  const revocato = await leggiFattura(token);
+  assert.strictEqual(revocato.status, 401);
+  assert.strictEqual(revocato.body.code, 'SESSION_REVOKED');
+
+  // Login immediatamente dopo la revoca, anche nello stesso secondo
+  const nuovo = await ctx.login('genova');
+  assert.strictEqual((await leggiFattura(nuovo.token)).status, 200);
+});
+
+test('riuso di un refresh token ruotato: 401 e sessione revocata', async () => {
+  const { refreshToken } = await ctx.login('novara');
+  const refresh = (refresh_token) => request(ctx.app).post('/api/auth/refresh').send({ refresh_token });
+
+  const ruotato = await refresh(refreshToken);
+  assert.strictEqual(ruotato.status, 200);
+
+  const riuso = await refresh(refreshToken);
+  assert.strictEqual(riuso.status, 401);
+  assert.strictEqual(riuso.body.code, 'REFRESH_INVALID');
+
+  // Anche il token ricevuto dalla rotazione non è più valido
+  assert.strictEqual((await refresh(ruotato.body.refreshToken)).status, 401);
+  const accesso = await request(ctx.app).get('/api/info').set('Authorization', `Bearer ${ruotato.body.token}`);
+  assert.strictEqual(accesso.status, 401);
+});
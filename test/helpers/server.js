@@ -0,0 +1,61 @@
+// test/helpers/server.js - Avvio dell'app sul backend JSON locale per i test delle route
+//
+// Ogni file di test gira in un processo separato: l'app viene caricata una sola volta
+// con le variabili d'ambiente e i dati del test, in una cartella temporanea.
+const { mock } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const UTENTI = {
+  genova: { email: 'test.genova@fradiavolopizzeria.com', password: 'pw-genova', env: 'GENOVA_CASTELLO' },
+  novara: { email: 'test.novara@fradiavolopizzeria.com', password: 'pw-novara', env: 'NOVARA' },
+  admin: { email: 'test.admin@fradiavolopizzeria.com', password: 'pw-admin', env: 'ADMIN' }
+};
+
+const avviaApp = ({ invoices = [], env = {} } = {}) => {
+  // I log del server su stdout si mescolano al protocollo del test runner
+  mock.method(console, 'log', () => {});
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fdv-test-'));
+  const localDir = path.join(dir, 'local');
+  fs.mkdirSync(localDir, { recursive: true });
+  fs.writeFileSync(path.join(localDir, 'invoices.json'), JSON.stringify(invoices));
+
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 'local',
+    STORAGE_CACHE_TTL_MS: '0',
+    LOCAL_STORAGE_DIR: localDir,
+    RUNTIME_DATA_DIR: path.join(dir, 'runtime'),
+    TXT_FILES_DIR: path.join(dir, 'txt'),
+    JWT_SECRET: 'test-secret-per-i-test-di-integrazione',
+    ...Object.fromEntries(Object.values(UTENTI).flatMap(u => [
+      [`USER_${u.env}_EMAIL`, u.email],
+      [`USER_${u.env}_PASSWORD`, u.password]
+    ])),
+    ...env
+  });
+  const app = require('../../server');
+
+  // Risposta completa del login (token, refreshToken, user)
+  const login = async (utente) => {
+    const { email, password } = UTENTI[utente];
+    return (await request(app).post('/api/auth/login').send({ email, password }).expect(200)).body;
+  };
+
+  // Il login è limitato a 5 tentativi per IP: un solo token per utente
+  const tokens = new Map();
+  const token = async (utente) => {
+    if (!tokens.has(utente)) tokens.set(utente, (await login(utente)).token);
+    return tokens.get(utente);
+  };
+
+  const leggiFatture = () => JSON.parse(fs.readFileSync(path.join(localDir, 'invoices.json'), 'utf8'));
+
+  const chiudi = () => fs.rmSync(dir, { recursive: true, force: true });
+
+  return { app, dir, login, token, leggiFatture, chiudi };
+};
+
+module.exports = { avviaApp, UTENTI };
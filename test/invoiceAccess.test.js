@@ -0,0 +1,72 @@
+// test/invoiceAccess.test.js - Accesso alle fatture per punto vendita (requireInvoiceAccess)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { avviaApp } = require('./helpers/server');
+
+// Una fattura pending di Genova per ogni scrittura, così i test restano indipendenti
+const fattura = (id, numero) => ({
+  id, numero, fornitore: 'Marr', data_emissione: '2026-10-01', stato: 'pending',
+  punto_vendita: 'FDV Genova Castello', importo_totale: '120.50',
+  txt: 'RIGA1', testo_ddt: '003563 | IMPASTO SALSICCIA | KG | 5 | 5 KG totali'
+});
+
+let ctx;
+
+before(() => {
+  ctx = avviaApp({
+    invoices: [fattura('1', 'FT001'), fattura('2', 'FT002'), fattura('3', 'FT003'), fattura('4', 'FT004')]
+  });
+});
+
+after(() => ctx.chiudi());
+
+const chiama = async (utente, metodo, url, body, headers = {}) => {
+  const req = request(ctx.app)[metodo](url).set('Authorization', `Bearer ${await ctx.token(utente)}`).set(headers);
+  return body ? req.send(body) : req;
+};
+
+// PUT richiede If-Match: la versione viene letta come farebbe il client
+const versione = async (id) => ({ 'If-Match': (await chiama('admin', 'get', `/api/invoices/${id}`)).headers.etag });
+
+const statoFattura = (id) => ctx.leggiFatture().find(f => f.id === id).stato;
+
+const SCRITTURE = {
+  confirm: { id: '2', metodo: 'post', url: '/api/invoices/2/confirm', body: { data_consegna: '2026-10-05' }, stato: 'consegnato' },
+  'report-error': { id: '3', metodo: 'post', url: '/api/invoices/3/report-error', body: { data_consegna: '2026-10-05', note_testuali: 'Mancano 2 colli' }, stato: 'contestato' },
+  put: { id: '4', metodo: 'put', url: '/api/invoices/4', body: { note: 'Consegna al retro' }, conVersione: true }
+};
+
+test('fattura inesistente: 404', async () => {
+  const res = await chiama('admin', 'get', '/api/invoices/999');
+  assert.strictEqual(res.status, 404);
+});
+
+for (const url of ['/api/invoices/1', '/api/invoices/1/errors', '/api/invoices/1/history', '/api/invoices/1/parse-ddt']) {
+  test(`GET ${url}: 403 per un altro punto vendita, 200 per il proprio e per l'admin`, async () => {
+    assert.strictEqual((await chiama('novara', 'get', url)).status, 403);
+    assert.strictEqual((await chiama('genova', 'get', url)).status, 200);
+    assert.strictEqual((await chiama('admin', 'get', url)).status, 200);
+  });
+}
+
+for (const [nome, { id, metodo, url, body, stato, conVersione }] of Object.entries(SCRITTURE)) {
+  test(`${nome}: 403 per un operatore di un altro punto vendita, fattura invariata`, async () => {
+    const prima = ctx.leggiFatture().find(f => f.id === id);
+    const res = await chiama('novara', metodo, url, body, conVersione ? await versione(id) : {});
+    assert.strictEqual(res.status, 403);
+    assert.deepStrictEqual(ctx.leggiFatture().find(f => f.id === id), prima);
+  });
+
+  test(`${nome}: 200 per l'admin`, async () => {
+    const res = await chiama('admin', metodo, url, body, conVersione ? await versione(id) : {});
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    if (stato) assert.strictEqual(statoFattura(id), stato);
+  });
+}
+
+test('confirm: 200 per l\'operatore del punto vendita della fattura', async () => {
+  const res = await chiama('genova', 'post', '/api/invoices/1/confirm', { data_consegna: '2026-10-05' });
+  assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+  assert.strictEqual(statoFattura('1'), 'consegnato');
+});
@@ -0,0 +1,85 @@
+// test/invoiceVersion.test.js - Concorrenza ottimistica sulle fatture (ETag / If-Match)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { avviaApp } = require('./helpers/server');
+
+const fattura = (id, numero) => ({
+  id, numero, fornitore: 'Marr', data_emissione: '2026-10-01', stato: 'pending',
+  punto_vendita: 'FDV Genova Castello', note: ''
+});
+
+let ctx;
+
+before(() => {
+  ctx = avviaApp({ invoices: [fattura('1', 'FT001'), fattura('2', 'FT002'), fattura('3', 'FT003')] });
+});
+
+after(() => ctx.chiudi());
+
+const leggi = async (id) => request(ctx.app)
+  .get(`/api/invoices/${id}`)
+  .set('Authorization', `Bearer ${await ctx.token('genova')}`)
+  .expect(200);
+
+const scrivi = async (metodo, url, body, ifMatch) => {
+  const req = request(ctx.app)[metodo](url).set('Authorization', `Bearer ${await ctx.token('genova')}`);
+  if (ifMatch) req.set('If-Match', ifMatch);
+  return req.send(body);
+};
+
+const notaSalvata = (id) => ctx.leggiFatture().find(f => f.id === id).note;
+
+test('PUT senza If-Match: 428 con l\'ETag corrente, fattura invariata', async () => {
+  const { headers } = await leggi('1');
+  const res = await scrivi('put', '/api/invoices/1', { note: 'Consegna al retro' });
+  assert.strictEqual(res.status, 428);
+  assert.strictEqual(res.body.code, 'PRECONDITION_REQUIRED');
+  assert.strictEqual(res.headers.etag, headers.etag);
+  assert.strictEqual(notaSalvata('1'), '');
+});
+
+test('PUT con la versione corrente: 200 e nuovo ETag', async () => {
+  const { headers } = await leggi('1');
+  const res = await scrivi('put', '/api/invoices/1', { note: 'Consegna al retro' }, headers.etag);
+  assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+  assert.notStrictEqual(res.headers.etag, headers.etag);
+  assert.strictEqual(res.headers.etag, (await leggi('1')).headers.etag);
+  assert.strictEqual(notaSalvata('1'), 'Consegna al retro');
+});
+
+test('PUT con una versione superata: 409 con i campi modificati nel frattempo', async () => {
+  const letta = (await leggi('2')).headers.etag;
+  assert.strictEqual((await scrivi('put', '/api/invoices/2', { note: 'Prima modifica' }, letta)).status, 200);
+
+  const res = await scrivi('put', '/api/invoices/2', { note: 'Seconda modifica' }, letta);
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.headers.etag, res.body.etag_corrente);
+  assert.strictEqual(res.body.etag_corrente, (await leggi('2')).headers.etag);
+  const [nota, storico] = res.body.campi_in_conflitto;
+  assert.deepStrictEqual(nota, { campo: 'note', valore_letto: '', valore_attuale: 'Prima modifica', richiesto_in_modifica: true });
+  assert.strictEqual(storico.campo, 'storico_modifiche');
+  assert.strictEqual(storico.richiesto_in_modifica, false);
+  assert.strictEqual(res.body.campi_in_conflitto.length, 2);
+  assert.strictEqual(notaSalvata('2'), 'Prima modifica');
+});
+
+test('PUT con una versione sconosciuta: 409 senza dettaglio dei campi', async () => {
+  const res = await scrivi('put', '/api/invoices/2', { note: 'x' }, '"0000000000"');
+  assert.strictEqual(res.status, 409);
+  assert.deepStrictEqual(res.body.campi_in_conflitto, []);
+  assert.match(res.body.dettaglio, /ricarica la fattura/);
+});
+
+test('conferma: If-Match facoltativo, ma se superato la conferma viene rifiutata', async () => {
+  const letta = (await leggi('3')).headers.etag;
+  assert.strictEqual((await scrivi('put', '/api/invoices/3', { note: 'Cambiata' }, letta)).status, 200);
+
+  const conflitto = await scrivi('post', '/api/invoices/3/confirm', { data_consegna: '2026-10-05' }, letta);
+  assert.strictEqual(conflitto.status, 409);
+  assert.strictEqual(ctx.leggiFatture().find(f => f.id === '3').stato, 'pending');
+
+  const senzaVersione = await scrivi('post', '/api/invoices/3/confirm', { data_consegna: '2026-10-05' });
+  assert.strictEqual(senzaVersione.status, 200, JSON.stringify(senzaVersione.body));
+  assert.strictEqual(ctx.leggiFatture().find(f => f.id === '3').stato, 'consegnato');
+});
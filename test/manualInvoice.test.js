@@ -0,0 +1,45 @@
+// test/manualInvoice.test.js - Inserimento manuale di fatture / DDT (POST /api/invoices)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { avviaApp } = require('./helpers/server');
+
+let ctx;
+
+before(() => {
+  ctx = avviaApp({
+    invoices: [{ id: '1', numero: 'FT001', fornitore: 'Marr', data_emissione: '2026-10-01', stato: 'pending', punto_vendita: 'FDV Genova Castello' }]
+  });
+});
+
+after(() => ctx.chiudi());
+
+const inserisci = async (campi) => request(ctx.app)
+  .post('/api/invoices')
+  .set('Authorization', `Bearer ${await ctx.token('genova')}`)
+  .send({ fornitore: 'Dimar', data_emissione: '2026-10-02', righe_ddt: ['D7264 | BIB PEPSI | KAR | 3'], ...campi });
+
+const importoSalvato = (numero) => ctx.leggiFatture().find(f => f.numero === numero).importo_totale;
+
+test('importo in formato italiano con separatore delle migliaia', async () => {
+  const res = await inserisci({ numero: 'DDT-100', importo_totale: '1.234,56' });
+  assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+  assert.strictEqual(importoSalvato('DDT-100'), '1234.56');
+});
+
+test('importo numerico e con simbolo dell\'euro', async () => {
+  assert.strictEqual((await inserisci({ numero: 'DDT-101', importo_totale: 89.9 })).status, 201);
+  assert.strictEqual(importoSalvato('DDT-101'), '89.90');
+  assert.strictEqual((await inserisci({ numero: 'DDT-102', importo_totale: '€ 12,5' })).status, 201);
+  assert.strictEqual(importoSalvato('DDT-102'), '12.50');
+});
+
+test('importo non valido o negativo: 400', async () => {
+  assert.strictEqual((await inserisci({ numero: 'DDT-103', importo_totale: 'dodici' })).status, 400);
+  assert.strictEqual((await inserisci({ numero: 'DDT-103', importo_totale: '-5,00' })).status, 400);
+});
+
+test('stesso numero dello stesso fornitore: 409, di un altro fornitore: 201', async () => {
+  assert.strictEqual((await inserisci({ numero: ' ft001', fornitore: 'marr' })).status, 409);
+  assert.strictEqual((await inserisci({ numero: 'FT001' })).status, 201);
+});
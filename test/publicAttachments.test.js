@@ -0,0 +1,85 @@
+// test/publicAttachments.test.js - Link pubblici firmati agli allegati delle segnalazioni
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const request = require('supertest');
+const { avviaApp } = require('./helpers/server');
+
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer\n<<>>\n%%EOF\n');
+
+let ctx;
+let link;
+let attachmentId;
+
+before(async () => {
+  ctx = avviaApp({
+    invoices: [{
+      id: '1', numero: 'FT001', fornitore: 'Marr', data_emissione: '2026-10-01', data_consegna: '2026-10-05',
+      stato: 'consegnato', punto_vendita: 'FDV Genova Castello', note: 'Collo danneggiato'
+    }]
+  });
+  const auth = `Bearer ${await ctx.token('admin')}`;
+
+  const upload = await request(ctx.app)
+    .post('/api/invoices/1/attachments')
+    .set('Authorization', auth)
+    .attach('allegati', PDF, 'bolla.pdf')
+    .expect(201);
+  attachmentId = upload.body.allegati[0].id;
+
+  const invio = await request(ctx.app)
+    .post('/api/admin/segnalazioni/1/send')
+    .set('Authorization', auth)
+    .send({ email_destinatario: 'fornitore@fradiavolopizzeria.com', oggetto_email: 'Errore consegna', corpo_email: 'Dettagli' })
+    .expect(200);
+  link = new URL(invio.body.fattura.allegati[0].link);
+});
+
+after(() => ctx.chiudi());
+
+const scarica = (expires, sig) => request(ctx.app)
+  .get(`/api/public/attachments/${attachmentId}`)
+  .query({ expires, sig });
+
+test('link firmato valido: restituisce il file senza login', async () => {
+  const res = await request(ctx.app).get(link.pathname + link.search).buffer(true);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers['content-type'], 'application/pdf');
+  assert.deepStrictEqual(Buffer.from(res.body), PDF);
+});
+
+test('firma alterata: 403', async () => {
+  const sig = link.searchParams.get('sig');
+  const alterata = (sig[0] === 'a' ? 'b' : 'a') + sig.slice(1);
+  assert.strictEqual((await scarica(link.searchParams.get('expires'), alterata)).status, 403);
+});
+
+test('scadenza modificata con la firma originale: 403', async () => {
+  const expires = Number(link.searchParams.get('expires')) + 1000;
+  assert.strictEqual((await scarica(expires, link.searchParams.get('sig'))).status, 403);
+});
+
+test('firma di lunghezza diversa, anche con caratteri multibyte: 403', async () => {
+  const expires = link.searchParams.get('expires');
+  const sig = link.searchParams.get('sig');
+  assert.strictEqual((await scarica(expires, sig.slice(0, 10))).status, 403);
+  assert.strictEqual((await scarica(expires, 'é' + sig.slice(1))).status, 403);
+  assert.strictEqual((await scarica(expires, '')).status, 403);
+});
+
+test('link scaduto con firma valida: 410', async () => {
+  const expires = Date.now() - 1000;
+  const sig = crypto.createHmac('sha256', process.env.JWT_SECRET).update(`allegato:${attachmentId}:${expires}`).digest('hex');
+  assert.strictEqual((await scarica(expires, sig)).status, 410);
+});
+
+test('l\'elenco segnalazioni non contiene link pubblici', async () => {
+  const res = await request(ctx.app)
+    .get('/api/admin/segnalazioni')
+    .set('Authorization', `Bearer ${await ctx.token('admin')}`)
+    .expect(200);
+  const [allegato] = res.body.segnalazioni[0].allegati;
+  assert.strictEqual(allegato.id, attachmentId);
+  assert.strictEqual(allegato.link_pubblico, undefined);
+  assert.ok(allegato.url.startsWith('/api/invoices/1/attachments/'));
+});
@@ -0,0 +1,74 @@
+// test/segnalazioni.test.js - Segnalazioni errori con chiavi API limitate a dei punti vendita
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { avviaApp } = require('./helpers/server');
+
+const conErrori = (id, numero, puntoVendita) => ({
+  id, numero, fornitore: 'Marr', data_emissione: '2026-10-01', data_consegna: '2026-10-05',
+  stato: 'consegnato', punto_vendita: puntoVendita, note: 'Mancano 2 colli'
+});
+
+let ctx;
+let chiaveGenova;
+let chiaveGlobale;
+
+const creaChiave = async (stores) => {
+  const res = await request(ctx.app)
+    .post('/api/admin/api-keys')
+    .set('Authorization', `Bearer ${await ctx.token('admin')}`)
+    .send({ name: 'n8n test', scopes: ['segnalazioni:read', 'segnalazioni:write'], stores })
+    .expect(201);
+  return res.body.key;
+};
+
+const invia = (key, id) => request(ctx.app)
+  .post(`/api/admin/segnalazioni/${id}/send`)
+  .set('X-API-Key', key)
+  .send({ email_destinatario: 'fornitore@fradiavolopizzeria.com', oggetto_email: 'Errore consegna', corpo_email: 'Dettagli' });
+
+before(async () => {
+  ctx = avviaApp({
+    invoices: [
+      conErrori('1', 'FT001', 'FDV Genova Castello'),
+      conErrori('2', 'FT002', 'FDV Novara')
+    ]
+  });
+  chiaveGenova = await creaChiave(['FDV Genova Castello']);
+  chiaveGlobale = await creaChiave(null);
+});
+
+after(() => ctx.chiudi());
+
+test('chiave limitata: elenca solo le segnalazioni dei suoi punti vendita', async () => {
+  const res = await request(ctx.app).get('/api/admin/segnalazioni').set('X-API-Key', chiaveGenova).expect(200);
+  assert.deepStrictEqual(res.body.segnalazioni.map(s => s.id), ['1']);
+  assert.strictEqual(res.body.totale, 1);
+});
+
+test('chiave senza limiti: elenca tutte le segnalazioni', async () => {
+  const res = await request(ctx.app).get('/api/admin/segnalazioni').set('X-API-Key', chiaveGlobale).expect(200);
+  assert.deepStrictEqual(res.body.segnalazioni.map(s => s.id).sort(), ['1', '2']);
+});
+
+test('chiave limitata: 403 sull\'invio per una fattura di un altro punto vendita', async () => {
+  const res = await invia(chiaveGenova, '2');
+  assert.strictEqual(res.status, 403);
+});
+
+test('chiave limitata: invio consentito sul proprio punto vendita', async () => {
+  const res = await invia(chiaveGenova, '1');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.fattura.numero, 'FT001');
+});
+
+test('dopo l\'invio la fattura registra quando e da chi è stata segnalata', async () => {
+  const fattura = ctx.leggiFatture().find(f => f.id === '1');
+  assert.ok(!Number.isNaN(Date.parse(fattura.segnalazione_inviata)));
+  assert.strictEqual(fattura.segnalazione_inviata_da, 'apikey:n8n test');
+  assert.strictEqual(ctx.leggiFatture().find(f => f.id === '2').segnalazione_inviata, undefined);
+
+  const res = await request(ctx.app).get('/api/admin/segnalazioni').set('X-API-Key', chiaveGlobale).expect(200);
+  const stati = Object.fromEntries(res.body.segnalazioni.map(s => [s.id, s.stato_segnalazione]));
+  assert.deepStrictEqual(stati, { 1: 'inviata', 2: 'da_inviare' });
+});
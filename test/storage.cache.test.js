@@ -0,0 +1,111 @@
+// test/storage.cache.test.js - Cache in memoria dei repository: TTL e invalidazione sulle scritture
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { withCache } = require('../storage/cache');
+
+// Repository in memoria; con `manuale` ogni list() resta in sospeso finché il test non la completa
+const creaRepository = (records, { manuale = false } = {}) => {
+  const letture = [];
+  const repo = {
+    letture,
+    list: () => {
+      const snapshot = records.map(r => ({ ...r }));
+      if (!manuale) {
+        letture.push(null);
+        return Promise.resolve(snapshot);
+      }
+      return new Promise(resolve => letture.push(() => resolve(snapshot)));
+    },
+    findById: async (id) => records.find(r => r.id === String(id)) || null,
+    create: async (record) => { records.push(record); },
+    createMany: async (nuovi) => { records.push(...nuovi); },
+    update: async (id, updates) => {
+      const record = records.find(r => r.id === String(id));
+      if (updates.errore) throw new Error('Scrittura fallita');
+      Object.assign(record, updates);
+      return { ...record };
+    },
+    updateMany: async (items) => items.forEach(({ id, updates }) => Object.assign(records.find(r => r.id === id), updates))
+  };
+  return repo;
+};
+
+test('le letture entro il TTL usano la copia in memoria', async () => {
+  const repo = creaRepository([{ id: '1', stato: 'pending' }, { id: '2', stato: 'pending' }]);
+  const cached = withCache(repo, { name: 'invoices', ttlMs: 60 * 1000 });
+
+  assert.strictEqual((await cached.list()).length, 2);
+  assert.strictEqual((await cached.findById(2)).id, '2');
+  assert.strictEqual(await cached.findById('999'), null);
+  assert.strictEqual(repo.letture.length, 1);
+  assert.ok(Object.isFrozen((await cached.list())[0]));
+
+  const stats = cached.cacheStats();
+  assert.strictEqual(stats.misses, 1);
+  assert.strictEqual(stats.hits, 3);
+  assert.strictEqual(stats.records, 2);
+});
+
+test('scaduto il TTL la lettura successiva ricarica', async () => {
+  const repo = creaRepository([{ id: '1' }]);
+  const cached = withCache(repo, { name: 'invoices', ttlMs: 10 });
+
+  await cached.list();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await cached.list();
+  assert.strictEqual(repo.letture.length, 2);
+});
+
+test('ogni scrittura invalida la cache, anche quando fallisce', async () => {
+  const repo = creaRepository([{ id: '1', stato: 'pending' }, { id: '2', stato: 'pending' }]);
+  const cached = withCache(repo, { name: 'invoices', ttlMs: 60 * 1000 });
+
+  await cached.list();
+  await cached.update('1', { stato: 'consegnato' });
+  assert.strictEqual((await cached.findById('1')).stato, 'consegnato');
+
+  await cached.updateMany([{ id: '2', updates: { stato: 'consegnato' } }]);
+  assert.strictEqual((await cached.findById('2')).stato, 'consegnato');
+
+  await cached.create({ id: '3', stato: 'pending' });
+  assert.strictEqual((await cached.list()).length, 3);
+
+  await assert.rejects(cached.update('1', { errore: true }), /Scrittura fallita/);
+  assert.strictEqual(cached.cacheStats().cached, false);
+
+  assert.strictEqual(repo.letture.length, 4);
+  assert.strictEqual(cached.cacheStats().invalidations, 4);
+});
+
+test('letture concorrenti condividono un solo caricamento', async () => {
+  const repo = creaRepository([{ id: '1' }], { manuale: true });
+  const cached = withCache(repo, { name: 'invoices', ttlMs: 60 * 1000 });
+
+  const letture = Promise.all([cached.list(), cached.findById('1'), cached.list()]);
+  assert.strictEqual(repo.letture.length, 1);
+  repo.letture[0]();
+
+  const [lista, record] = await letture;
+  assert.strictEqual(lista.length, 1);
+  assert.strictEqual(record.id, '1');
+});
+
+test('un caricamento iniziato prima di una scrittura non viene salvato in cache', async () => {
+  const records = [{ id: '1', stato: 'pending' }];
+  const repo = creaRepository(records, { manuale: true });
+  const cached = withCache(repo, { name: 'invoices', ttlMs: 60 * 1000 });
+
+  // La lettura parte con il vecchio stato, la scrittura arriva prima che finisca
+  const vecchiaLettura = cached.findById('1');
+  await cached.update('1', { stato: 'consegnato' });
+  repo.letture[0]();
+  assert.strictEqual((await vecchiaLettura).stato, 'pending');
+  assert.strictEqual(cached.cacheStats().cached, false);
+
+  // La lettura successiva non riusa il caricamento vecchio
+  const nuovaLettura = cached.findById('1');
+  assert.strictEqual(repo.letture.length, 2);
+  repo.letture[1]();
+  assert.strictEqual((await nuovaLettura).stato, 'consegnato');
+  assert.strictEqual(cached.cacheStats().cached, true);
+});
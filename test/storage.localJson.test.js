@@ -0,0 +1,53 @@
+// test/storage.localJson.test.js - Repository fatture sul backend JSON locale
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+
+let dir;
+let storage;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fdv-storage-'));
+  fs.writeFileSync(path.join(dir, 'invoices.json'), JSON.stringify([
+    { id: '1', numero: 'FT001', fornitore: 'Marr', stato: 'pending', punto_vendita: 'FDV Genova Castello' },
+    { id: '2', numero: 'FT002', fornitore: 'Dimar', stato: 'consegnato', punto_vendita: 'FDV Novara' }
+  ]));
+  storage = createStorage({ backend: 'local', local: { dir } });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('list restituisce tutte le fatture', async () => {
+  const invoices = await storage.invoices.list();
+  assert.strictEqual(storage.backend, 'local');
+  assert.deepStrictEqual(invoices.map(i => i.numero), ['FT001', 'FT002']);
+});
+
+test('findById confronta gli id come stringhe e restituisce null se non esiste', async () => {
+  assert.strictEqual((await storage.invoices.findById(2)).numero, 'FT002');
+  assert.strictEqual(await storage.invoices.findById('999'), null);
+});
+
+test('update salva i campi come stringhe e restituisce il record aggiornato', async () => {
+  const updated = await storage.invoices.update('1', { stato: 'consegnato', importo_totale: 120.5 });
+  assert.strictEqual(updated.stato, 'consegnato');
+  assert.strictEqual(updated.importo_totale, '120.5');
+  assert.strictEqual(updated.numero, 'FT001');
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'invoices.json'), 'utf8'));
+  assert.strictEqual(saved.find(i => i.id === '1').stato, 'consegnato');
+  assert.strictEqual(await storage.invoices.update('999', { stato: 'consegnato' }), null);
+});
+
+test('create aggiunge la fattura convertendo null e numeri in stringhe', async () => {
+  await storage.invoices.create({ id: 3, numero: 'FT003', fornitore: 'Marr', note: null });
+
+  const created = await storage.invoices.findById('3');
+  assert.deepStrictEqual(created, { id: '3', numero: 'FT003', fornitore: 'Marr', note: '' });
+  assert.strictEqual((await storage.invoices.list()).length, 3);
+});
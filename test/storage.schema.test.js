@@ -0,0 +1,87 @@
+// test/storage.schema.test.js - Confronto tra schema dichiarato e intestazioni reali dei fogli
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SCHEMAS, diffSchema, createSchemaManager } = require('../storage/schema');
+
+const schema = {
+  columns: ['id', 'numero', 'importo_totale', 'storico_modifiche', 'quantita'],
+  aliases: {
+    importo_totale: ['importo', 'totale'],
+    storico_modifiche: ['storico', 'cronologia'],
+    quantita: ['quantità']
+  }
+};
+
+test('intestazioni uguali allo schema: nessuna differenza', () => {
+  assert.deepStrictEqual(diffSchema(schema, [...schema.columns]), { missing: [], renamed: [], extra: [] });
+});
+
+test('colonne mancanti ed extra, ignorando le intestazioni vuote', () => {
+  const diff = diffSchema(schema, ['id', 'numero', '', 'note_interne']);
+  assert.deepStrictEqual(diff, {
+    missing: ['importo_totale', 'storico_modifiche', 'quantita'],
+    renamed: [],
+    extra: ['note_interne']
+  });
+});
+
+test('rinomine tramite alias e a meno di maiuscole, spazi e accenti', () => {
+  const diff = diffSchema(schema, ['id', 'Numero ', 'Totale', 'Cronologia', 'Quantità', 'fornitore']);
+  assert.deepStrictEqual(diff, {
+    missing: [],
+    renamed: [
+      { column: 'numero', header: 'Numero ' },
+      { column: 'importo_totale', header: 'Totale' },
+      { column: 'storico_modifiche', header: 'Cronologia' },
+      { column: 'quantita', header: 'Quantità' }
+    ],
+    extra: ['fornitore']
+  });
+});
+
+test('un\'intestazione sconosciuta corrisponde al massimo a una colonna', () => {
+  const doppio = { columns: ['totale_a', 'totale_b'], aliases: { totale_a: ['totale'], totale_b: ['totale'] } };
+  assert.deepStrictEqual(diffSchema(doppio, ['totale']), {
+    missing: ['totale_b'],
+    renamed: [{ column: 'totale_a', header: 'totale' }],
+    extra: []
+  });
+});
+
+test('schema fatture: le colonne nuove risultano mancanti su un foglio precedente', () => {
+  const originali = SCHEMAS.invoices.columns.filter(c => !['segnalazione_inviata', 'segnalazione_inviata_da', 'consegne_parziali', 'duplicato_di'].includes(c));
+  const headers = originali.map(c => (c === 'punto_vendita' ? 'Negozio' : c));
+  assert.deepStrictEqual(diffSchema(SCHEMAS.invoices, headers), {
+    missing: ['segnalazione_inviata', 'segnalazione_inviata_da', 'consegne_parziali', 'duplicato_di'],
+    renamed: [{ column: 'punto_vendita', header: 'Negozio' }],
+    extra: []
+  });
+});
+
+test('migrate aggiunge solo le mancanti e crea le tabelle autoCreate assenti', async () => {
+  const chiamate = [];
+  const tabella = (headers) => ({
+    getHeaders: async () => headers,
+    addColumns: async (columns) => chiamate.push(['addColumns', columns]),
+    createTable: async (columns) => chiamate.push(['createTable', columns])
+  });
+  const schemas = {
+    invoices: { columns: ['id', 'numero', 'stato'], aliases: { numero: ['num'] } },
+    movimentazioni: { title: 'Movimentazioni', autoCreate: true, columns: ['id', 'prodotto'] }
+  };
+  const manager = createSchemaManager({
+    tables: { invoices: tabella(['id', 'num']), movimentazioni: tabella(null) },
+    schemas
+  });
+
+  const anteprima = await manager.migrate({ dryRun: true });
+  assert.deepStrictEqual(chiamate, []);
+  assert.deepStrictEqual(anteprima[0].added, ['stato']);
+
+  const risultato = await manager.migrate();
+  assert.deepStrictEqual(risultato, [
+    { table: 'invoices', created: false, added: ['stato'], renamed: [{ column: 'numero', header: 'num' }] },
+    { table: 'movimentazioni', created: true, added: [], renamed: [] }
+  ]);
+  assert.deepStrictEqual(chiamate, [['addColumns', ['stato']], ['createTable', ['id', 'prodotto']]]);
+});
@@ -0,0 +1,89 @@
+// test/storage.sessions.test.js - Refresh token a rotazione e revoca degli access token
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('../storage/sessions');
+
+const REFRESH_TTL_MS = 24 * 60 * 60 * 1000;
+
+let dir;
+let file;
+let store;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fdv-sessions-'));
+  file = path.join(dir, 'sessions.json');
+  store = createSessionStore({ file, refreshTtlMs: REFRESH_TTL_MS });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('rotate restituisce un nuovo refresh token e invalida il precedente', async () => {
+  const { session, refreshToken } = await store.create({ userId: 101 });
+  const rotated = await store.rotate(refreshToken);
+
+  assert.strictEqual(rotated.session.id, session.id);
+  assert.notStrictEqual(rotated.refreshToken, refreshToken);
+  assert.strictEqual(await store.isAccessTokenRevoked({ sid: session.id, userId: 101 }), false);
+});
+
+test('riusare un refresh token già ruotato revoca l\'intera sessione', async () => {
+  const { session, refreshToken } = await store.create({ userId: 101 });
+  const { refreshToken: nuovo } = await store.rotate(refreshToken);
+
+  const reused = await store.rotate(refreshToken);
+  assert.strictEqual(reused.error, 'reused');
+  assert.strictEqual(reused.session.revokedReason, 'refresh_token_riutilizzato');
+
+  assert.strictEqual((await store.rotate(nuovo)).error, 'revoked');
+  assert.strictEqual(await store.isAccessTokenRevoked({ sid: session.id, userId: 101 }), true);
+});
+
+test('refresh token sconosciuto: invalid', async () => {
+  assert.deepStrictEqual(await store.rotate('non-esiste'), { error: 'invalid' });
+});
+
+test('revokeAllForUser revoca i token emessi prima, al millisecondo', async () => {
+  const { session } = await store.create({ userId: 101 });
+  const prima = Date.now() - 1;
+  await store.revokeAllForUser(101);
+  const revokedAt = Date.parse(JSON.parse(fs.readFileSync(file, 'utf8')).userRevocations['101']);
+
+  assert.strictEqual(await store.isAccessTokenRevoked({ userId: 101, iatMs: prima }), true);
+  assert.strictEqual(await store.isAccessTokenRevoked({ userId: 101, iatMs: revokedAt }), true);
+  // Nuovo login nello stesso secondo della revoca, ma dopo: il token resta valido
+  const nuova = await store.create({ userId: 101 });
+  assert.strictEqual(await store.isAccessTokenRevoked({ sid: nuova.session.id, userId: 101, iatMs: revokedAt + 1 }), false);
+  assert.strictEqual(await store.isAccessTokenRevoked({ sid: session.id, userId: 101, iatMs: revokedAt + 1 }), true);
+});
+
+test('token senza iatMs: emessi nello stesso secondo della revoca sono revocati', async () => {
+  await store.revokeAllForUser(101);
+  const revokedAt = Date.parse(JSON.parse(fs.readFileSync(file, 'utf8')).userRevocations['101']);
+  const stessoSecondo = Math.floor(revokedAt / 1000);
+
+  assert.strictEqual(await store.isAccessTokenRevoked({ userId: 101, iat: stessoSecondo }), true);
+  assert.strictEqual(await store.isAccessTokenRevoked({ userId: 101, iat: stessoSecondo + 1 }), false);
+  assert.strictEqual(await store.isAccessTokenRevoked({ userId: 102, iat: stessoSecondo }), false);
+});
+
+test('con exceptSessionId la sessione corrente resta valida', async () => {
+  const corrente = await store.create({ userId: 101 });
+  const altra = await store.create({ userId: 101 });
+
+  assert.strictEqual(await store.revokeAllForUser(101, 'cambio_password', { exceptSessionId: corrente.session.id }), 1);
+  assert.strictEqual(await store.isAccessTokenRevoked({ sid: corrente.session.id, userId: 101, iatMs: Date.now() - 1000 }), false);
+  assert.strictEqual(await store.isAccessTokenRevoked({ sid: altra.session.id, userId: 101 }), true);
+});
+
+test('il primo controllo dopo l\'avvio attende le sessioni salvate su disco', async () => {
+  const { session } = await store.create({ userId: 101 });
+
+  const riavviato = createSessionStore({ file, refreshTtlMs: REFRESH_TTL_MS });
+  assert.strictEqual(await riavviato.isAccessTokenRevoked({ sid: session.id, userId: 101 }), false);
+  assert.strictEqual(await riavviato.isAccessTokenRevoked({ sid: 'sessione-inesistente', userId: 101 }), true);
+});
@@ -0,0 +1,192 @@
+// test/storage.writeQueue.test.js - Coda persistente delle scritture: retry, backoff e ripristino
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWriteQueue, isRetryableError } = require('../storage/writeQueue');
+
+let dir;
+let file;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fdv-queue-'));
+  file = path.join(dir, 'write-queue.json');
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Tabella in memoria: `errori` viene consumato una voce per chiamata prima di riuscire
+const creaTabella = (records = [], errori = []) => {
+  const chiamate = [];
+  const fallisci = () => { if (errori.length > 0) throw errori.shift(); };
+  return {
+    chiamate,
+    records,
+    list: async () => records.map(r => ({ ...r })),
+    insert: async (nuovi) => { chiamate.push('insert'); fallisci(); records.push(...nuovi); },
+    update: async (keyField, keyValue, updates) => {
+      chiamate.push('update');
+      fallisci();
+      const record = records.find(r => String(r[keyField]) === String(keyValue));
+      if (!record) return null;
+      Object.assign(record, updates);
+      return { ...record };
+    },
+    updateMany: async (keyField, items) => {
+      chiamate.push('updateMany');
+      fallisci();
+      return items.map(({ keyValue, updates }) => Object.assign(records.find(r => String(r[keyField]) === keyValue), updates));
+    }
+  };
+};
+
+const erroreHttp = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+const attendi = async (condizione) => {
+  for (let i = 0; i < 400; i++) {
+    if (await condizione()) return;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Condizione non raggiunta');
+};
+
+const statoSuDisco = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+test('isRetryableError: 429, 5xx, errori di rete e quota sono temporanei', () => {
+  assert.strictEqual(isRetryableError(erroreHttp(429)), true);
+  assert.strictEqual(isRetryableError(erroreHttp(503)), true);
+  assert.strictEqual(isRetryableError(Object.assign(new Error('x'), { status: 500 })), true);
+  assert.strictEqual(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.strictEqual(isRetryableError(new Error('Quota exceeded for quota metric')), true);
+  assert.strictEqual(isRetryableError(new Error('wrapper', { cause: erroreHttp(502) })), true);
+
+  assert.strictEqual(isRetryableError(erroreHttp(400)), false);
+  assert.strictEqual(isRetryableError(Object.assign(new Error('Not found'), { code: 404 })), false);
+  assert.strictEqual(isRetryableError(new Error('Colonna inesistente')), false);
+});
+
+test('scrittura riuscita: restituisce il risultato della tabella e svuota la coda', async () => {
+  const applicate = [];
+  const queue = createWriteQueue({ file, baseDelayMs: 5, onApplied: (name) => applicate.push(name) });
+  const table = queue.wrap('invoices', creaTabella([{ id: '1', stato: 'pending' }]));
+
+  const result = await table.update('id', 1, { stato: 'consegnato' });
+  assert.deepStrictEqual(result, { id: '1', stato: 'consegnato' });
+  assert.deepStrictEqual(applicate, ['invoices']);
+  assert.deepStrictEqual(queue.status(), { pending: [], failed: [] });
+  assert.deepStrictEqual(statoSuDisco(), { pending: [], failed: [] });
+});
+
+test('errore temporaneo: risposta "in coda", lettura con overlay e nuovo tentativo con backoff', async () => {
+  const base = creaTabella([{ id: '1', stato: 'pending' }], [erroreHttp(503)]);
+  const queue = createWriteQueue({ file, baseDelayMs: 50 });
+  const table = queue.wrap('invoices', base);
+
+  const result = await table.update('id', '1', { stato: 'consegnato' });
+  assert.strictEqual(result.stato, 'consegnato');
+  assert.ok(result._pending_write);
+
+  // In attesa del nuovo tentativo l'operazione è salvata su disco e visibile alle letture
+  const [pending] = statoSuDisco().pending;
+  assert.strictEqual(pending.id, result._pending_write);
+  assert.strictEqual(pending.attempts, 1);
+  assert.strictEqual(pending.lastError, 'HTTP 503');
+  assert.strictEqual(base.records[0].stato, 'pending');
+  assert.strictEqual((await table.list())[0].stato, 'consegnato');
+
+  await attendi(() => statoSuDisco().pending.length === 0);
+  assert.deepStrictEqual(base.chiamate, ['update', 'update']);
+  assert.strictEqual(base.records[0].stato, 'consegnato');
+  assert.deepStrictEqual(queue.status().pending, []);
+});
+
+test('le scritture dietro a un\'operazione bloccata rispondono subito e vengono applicate in ordine', async () => {
+  const base = creaTabella([{ id: '1', note: '' }, { id: '2', note: '' }], [erroreHttp(429)]);
+  const queue = createWriteQueue({ file, baseDelayMs: 50 });
+  const table = queue.wrap('invoices', base);
+
+  const prima = await table.update('id', '1', { note: 'prima' });
+  const [seconda, inserita] = await Promise.all([
+    table.updateMany('id', [{ keyValue: '2', updates: { note: 'seconda' } }]),
+    table.insert([{ id: '3', note: 'nuova' }])
+  ]);
+
+  assert.ok(prima._pending_write);
+  assert.deepStrictEqual(seconda, [{ note: 'seconda', id: '2', _pending_write: seconda[0]._pending_write }]);
+  assert.strictEqual(inserita.queued, true);
+  assert.deepStrictEqual((await table.list()).map(r => r.note), ['prima', 'seconda', 'nuova']);
+
+  await attendi(() => statoSuDisco().pending.length === 0);
+  assert.deepStrictEqual(base.chiamate, ['update', 'update', 'updateMany', 'insert']);
+  assert.deepStrictEqual(base.records.map(r => r.note), ['prima', 'seconda', 'nuova']);
+});
+
+test('errore definitivo con qualcuno in attesa: la promessa viene rifiutata e nulla resta in coda', async () => {
+  const queue = createWriteQueue({ file, baseDelayMs: 5 });
+  const table = queue.wrap('invoices', creaTabella([{ id: '1' }], [erroreHttp(400)]));
+
+  await assert.rejects(table.update('id', '1', { note: 'x' }), /HTTP 400/);
+  await attendi(() => statoSuDisco().pending.length === 0);
+  assert.deepStrictEqual(queue.status(), { pending: [], failed: [] });
+});
+
+test('tentativi esauriti dopo la risposta "in coda": l\'operazione passa tra le fallite e si può ritentare', async () => {
+  const base = creaTabella([{ id: '1', note: '' }], [erroreHttp(503), erroreHttp(503)]);
+  const queue = createWriteQueue({ file, baseDelayMs: 50, maxAttempts: 2 });
+  const table = queue.wrap('invoices', base);
+
+  const result = await table.update('id', '1', { note: 'x' });
+  assert.ok(result._pending_write);
+  await attendi(() => statoSuDisco().failed.length === 1);
+
+  const [fallita] = statoSuDisco().failed;
+  assert.strictEqual(fallita.id, result._pending_write);
+  assert.strictEqual(fallita.attempts, 2);
+  assert.ok(fallita.failedAt);
+  assert.deepStrictEqual(queue.status().failed[0].campi, ['note']);
+
+  assert.strictEqual(await queue.retry(), 1);
+  await attendi(() => statoSuDisco().pending.length === 0 && statoSuDisco().failed.length === 0);
+  assert.strictEqual(base.records[0].note, 'x');
+});
+
+test('riavvio: le operazioni salvate su disco vengono ripristinate e applicate', async () => {
+  // Prima istanza: Google non risponde, il prossimo tentativo sarebbe tra un minuto
+  const primo = createWriteQueue({ file, baseDelayMs: 60 * 1000 });
+  const bloccata = primo.wrap('invoices', creaTabella([{ id: '1', stato: 'pending' }], [erroreHttp(503)]));
+  assert.ok((await bloccata.update('id', '1', { stato: 'consegnato' }))._pending_write);
+  assert.strictEqual(statoSuDisco().pending.length, 1);
+
+  // Backoff già trascorso al momento del riavvio
+  const salvato = statoSuDisco();
+  salvato.pending[0].nextAttemptAt = 0;
+  fs.writeFileSync(file, JSON.stringify(salvato));
+
+  const base = creaTabella([{ id: '1', stato: 'pending' }]);
+  const secondo = createWriteQueue({ file, baseDelayMs: 5 });
+  secondo.wrap('invoices', base);
+
+  await attendi(() => base.records[0].stato === 'consegnato');
+  await attendi(() => statoSuDisco().pending.length === 0);
+  assert.deepStrictEqual(secondo.status(), { pending: [], failed: [] });
+});
+
+test('discard rimuove un\'operazione in attesa di un nuovo tentativo', async () => {
+  const base = creaTabella([{ id: '1', note: '' }], [erroreHttp(503)]);
+  const queue = createWriteQueue({ file, baseDelayMs: 60 * 1000 });
+  const table = queue.wrap('invoices', base);
+
+  const { _pending_write: operationId } = await table.update('id', '1', { note: 'x' });
+  assert.strictEqual(await queue.discard('inesistente'), false);
+  assert.strictEqual(await queue.discard(operationId), true);
+
+  assert.deepStrictEqual(statoSuDisco(), { pending: [], failed: [] });
+  assert.strictEqual((await table.list())[0].note, '');
+});